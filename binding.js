@@ -0,0 +1,73 @@
+import { parse } from "./deps.ts";
+import { createHandlebars } from "./helpers.js";
+import { compileTemplate } from "./template_cache.js";
+import { getPath } from "./transform.js";
+import { extractYamlBlock } from "./yaml_block.js";
+
+// Handlebars for single values, with the same helpers as page templates
+const handlebars = createHandlebars();
+
+// A value that is nothing but a path, e.g. `{{params.id}}`, keeps its type
+const SINGLE_PATH = /^\{\{\{?\s*([\w$@-]+(?:\.[\w$@-]+)*)\s*\}?\}\}$/;
+
+/**
+ * Check whether a get.yaml/post.yaml asks for `binding: structured`
+ *
+ * Read from the unrendered source, before anything is templated.
+ *
+ * @param {string} source - YAML source
+ * @returns {boolean} Whether values are bound after parsing
+ */
+export function usesStructuredBinding(source) {
+  const { block } = extractYamlBlock(source, "binding");
+  if (!block) return false;
+  try {
+    return parse(block)?.binding === "structured";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve the `{{...}}` expressions of a single string
+ * @param {string} value - String from the parsed YAML
+ * @param {Record<string, any>} data - Values to bind
+ * @returns {any} Bound value
+ */
+function bindString(value, data) {
+  if (!value.includes("{{")) return value;
+
+  // A helper without arguments (`{{year}}`) looks like a path
+  const path = value.match(SINGLE_PATH)?.[1];
+  if (path && !(path.split(".")[0] in handlebars.helpers)) {
+    return getPath(data, path) ?? null;
+  }
+
+  // Mixed text is rendered as text, without HTML escaping
+  return compileTemplate(handlebars, value, { noEscape: true })(data);
+}
+
+/**
+ * Resolve the `{{...}}` expressions in parsed YAML, value by value
+ *
+ * Strings that are a single path (`"{{params.id}}"`) take the bound value as
+ * it is, a number stays a number and a missing value becomes null. Other
+ * strings render to text, unescaped. Keys are never templated, and no value
+ * can add keys or entries, whatever the request sends.
+ *
+ * @param {any} value - Parsed YAML value
+ * @param {Record<string, any>} data - Values to bind (`params`, `query`, ...)
+ * @returns {any} Copy of the value with expressions resolved
+ */
+export function bindValues(value, data) {
+  if (typeof value === "string") return bindString(value, data);
+  if (Array.isArray(value)) return value.map((item) => bindValues(item, data));
+
+  // Dates and other parsed objects are kept as they are
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, bindValues(item, data)]),
+    );
+  }
+  return value;
+}
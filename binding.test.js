@@ -0,0 +1,76 @@
+import { assertEquals } from "https://deno.land/std@0.207.0/assert/mod.ts";
+import { parse } from "./deps.ts";
+import { bindValues, usesStructuredBinding } from "./binding.js";
+
+Deno.test("usesStructuredBinding - reads the binding option", () => {
+  assertEquals(usesStructuredBinding("binding: structured\ntitle: x\n"), true);
+  assertEquals(usesStructuredBinding("title: x\nbinding: text\n"), false);
+  assertEquals(usesStructuredBinding("title: '{{query.binding}}'\n"), false);
+});
+
+Deno.test("bindValues - single paths keep their type", () => {
+  const data = {
+    params: { id: 7 },
+    query: { tags: ["a", "b"], on: true },
+  };
+
+  assertEquals(
+    bindValues(
+      {
+        id: "{{params.id}}",
+        tags: "{{ query.tags }}",
+        on: "{{{query.on}}}",
+        missing: "{{query.missing}}",
+      },
+      data,
+    ),
+    { id: 7, tags: ["a", "b"], on: true, missing: null },
+  );
+});
+
+Deno.test("bindValues - mixed text is rendered without escaping", () => {
+  const data = { query: { q: `Tom & "Jerry" <3` } };
+
+  assertEquals(
+    bindValues({ url: "https://api/search?q={{urlencode query.q}}" }, data),
+    { url: "https://api/search?q=Tom%20%26%20%22Jerry%22%20%3C3" },
+  );
+  assertEquals(bindValues(["Hello {{query.q}}"], data), [
+    `Hello Tom & "Jerry" <3`,
+  ]);
+});
+
+Deno.test("bindValues - helpers without arguments aren't read as paths", () => {
+  const [value] = bindValues(["{{formatDate}}"], {});
+  assertEquals(typeof value, "string");
+});
+
+Deno.test("bindValues - bound values can't change the structure", () => {
+  const yaml = parse(`
+fetch_data:
+  type: request
+  key: user
+  url: "https://api/users/{{params.id}}"
+`);
+  const injected = `1"\nfetch_data:\n  - type: db\n    query: DROP TABLE users`;
+
+  assertEquals(bindValues(yaml, { params: { id: injected } }), {
+    fetch_data: {
+      type: "request",
+      key: "user",
+      url: `https://api/users/${injected}`,
+    },
+  });
+});
+
+Deno.test("bindValues - keys and other values are kept as they are", () => {
+  const date = new Date("2024-03-05T00:00:00Z");
+
+  assertEquals(
+    bindValues(
+      { "{{query.key}}": 1, date, nothing: null, list: [false, 2] },
+      { query: { key: "injected" } },
+    ),
+    { "{{query.key}}": 1, date, nothing: null, list: [false, 2] },
+  );
+});
@@ -0,0 +1,172 @@
+/**
+ * @typedef {Object} JsonSettings
+ * @property {boolean} enabled - Whether the page can be served as JSON
+ * @property {string[]} exclude - Dotted key paths left out of the JSON body
+ */
+
+// Query parameter forcing a format, e.g. `?_format=json`
+export const FORMAT_PARAM = "_format";
+
+// Query parameter selecting one `{{#fragment}}` block or partial of a page
+export const FRAGMENT_PARAM = "_fragment";
+
+// Request headers that change how a page is rendered
+export const VARY = "Accept, HX-Request";
+
+// Request headers that pick the locale of a localized site
+const LOCALE_VARY = "Accept-Language, Cookie";
+
+// Page data keys that configure rendering rather than describe the page
+const RENDER_KEYS = ["json", "layout"];
+
+/**
+ * Parse an Accept-style header (Accept, Accept-Language) by preference
+ * @param {string} accept - Header value
+ * @returns {{type: string, q: number}[]} Lowercased values, highest quality
+ *   first
+ */
+export function parseAccept(accept) {
+  return accept
+    .split(",")
+    .map((part, index) => {
+      const [type, ...parameters] = part.trim().toLowerCase().split(";");
+      const qParameter = parameters
+        .map((parameter) => parameter.trim())
+        .find((parameter) => parameter.startsWith("q="));
+      const q = qParameter ? Number(qParameter.slice(2)) : 1;
+      return { type: type.trim(), q: Number.isNaN(q) ? 0 : q, index };
+    })
+    .filter(({ type, q }) => type && q > 0)
+    // Stable for equal quality, so the first listed type wins ties
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ type, q }) => ({ type, q }));
+}
+
+/**
+ * Check whether an Accept header prefers JSON over HTML
+ *
+ * Wildcards never select JSON, so browsers (`text/html,...,*\/*;q=0.8`) and
+ * clients without a preference keep getting HTML.
+ *
+ * @param {string|null} accept - Accept header value
+ * @returns {boolean} Whether `application/json` is the preferred type
+ */
+export function prefersJson(accept) {
+  if (!accept) return false;
+
+  for (const { type } of parseAccept(accept)) {
+    if (type === "application/json") return true;
+    if (type === "text/html") return false;
+  }
+  return false;
+}
+
+/**
+ * Check whether a page request asks for the JSON data context
+ * @param {Request|undefined} req - HTTP request
+ * @param {Record<string, string>} query - Query parameters
+ * @returns {boolean} Whether to respond with JSON
+ */
+export function wantsJson(req, query) {
+  if (query[FORMAT_PARAM] !== undefined) return query[FORMAT_PARAM] === "json";
+  return prefersJson(req?.headers.get("accept") ?? null);
+}
+
+/**
+ * Check whether a request comes from htmx and only needs the page body
+ *
+ * Boosted links and forms (`HX-Boosted`) swap the whole page, so they keep
+ * the layout.
+ *
+ * @param {Request|undefined} req - HTTP request
+ * @returns {boolean} Whether to render without the layout
+ */
+export function isPartialRequest(req) {
+  return req?.headers.get("hx-request") === "true" &&
+    req.headers.get("hx-boosted") !== "true";
+}
+
+/**
+ * Read a page's `json:` setting from its data
+ *
+ * `json: false` opts the page out, `json: { exclude: [...] }` lists keys (dotted
+ * for nested values, e.g. `user.email`) that stay private.
+ *
+ * @param {Record<string, any>} data - Page data
+ * @returns {JsonSettings} JSON settings
+ */
+export function jsonSettings(data) {
+  const setting = data.json;
+  if (setting === false) return { enabled: false, exclude: [] };
+
+  const exclude = setting && typeof setting === "object"
+    ? [setting.exclude ?? []].flat().map(String)
+    : [];
+  return { enabled: true, exclude };
+}
+
+/**
+ * Remove a dotted key path from an object, in place. Only own properties are
+ * followed, so `constructor.prototype.x` can't reach a shared prototype
+ * @param {Record<string, any>} target - Object to remove the key from
+ * @param {string} path - Dotted key path
+ * @returns {void}
+ */
+function removePath(target, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let current = target;
+  for (const key of keys) {
+    current = Object.hasOwn(current, key) ? current[key] : undefined;
+    if (!current || typeof current !== "object") return;
+  }
+  for (const item of Array.isArray(current) ? current : [current]) {
+    if (item && typeof item === "object" && Object.hasOwn(item, last)) {
+      delete item[last];
+    }
+  }
+}
+
+/**
+ * Page data as exposed in a JSON response
+ * @param {Record<string, any>} data - Resolved page data
+ * @param {string[]} exclude - Dotted key paths to leave out
+ * @returns {Record<string, any>} Data safe to serialize
+ */
+export function publicData(data, exclude) {
+  const result = structuredClone(
+    Object.fromEntries(
+      Object.entries(data).filter(([key]) => !RENDER_KEYS.includes(key)),
+    ),
+  );
+  for (const path of exclude) removePath(result, path);
+  return result;
+}
+
+/**
+ * Vary header of a page response
+ *
+ * The `locale` cookie and `Accept-Language` pick the locale of a localized
+ * site, so caches must keep a copy per value.
+ *
+ * @param {string|null|undefined} locale - Resolved locale, null without
+ *   catalogs
+ * @returns {string} Header value
+ */
+export function varyHeader(locale) {
+  return locale ? `${VARY}, ${LOCALE_VARY}` : VARY;
+}
+
+/**
+ * JSON response with content negotiation headers
+ * @param {any} body - Response body
+ * @param {number} [status] - HTTP status code
+ * @param {string} [vary] - Vary header, see `varyHeader`
+ * @returns {Response} HTTP response
+ */
+export function jsonResponse(body, status = 200, vary = VARY) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json", "vary": vary },
+  });
+}
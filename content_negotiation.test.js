@@ -0,0 +1,82 @@
+import { assertEquals } from "https://deno.land/std@0.207.0/assert/mod.ts";
+import {
+  jsonSettings,
+  prefersJson,
+  publicData,
+  varyHeader,
+  wantsJson,
+} from "./content_negotiation.js";
+
+Deno.test("prefersJson - picks the highest quality of JSON and HTML", () => {
+  assertEquals(prefersJson("application/json"), true);
+  assertEquals(prefersJson("application/json, text/html"), true);
+  assertEquals(prefersJson("text/html, application/json"), false);
+  assertEquals(prefersJson("text/html;q=0.5, application/json"), true);
+  assertEquals(prefersJson("application/json;q=0, text/html"), false);
+  assertEquals(
+    prefersJson("text/html,application/xhtml+xml,*/*;q=0.8"),
+    false,
+  );
+  assertEquals(prefersJson("*/*"), false);
+  assertEquals(prefersJson(""), false);
+  assertEquals(prefersJson(null), false);
+});
+
+Deno.test("wantsJson - _format query parameter overrides Accept", () => {
+  const req = new Request("http://localhost/", {
+    headers: { accept: "application/json" },
+  });
+
+  assertEquals(wantsJson(req, {}), true);
+  assertEquals(wantsJson(req, { _format: "html" }), false);
+  assertEquals(wantsJson(undefined, { _format: "json" }), true);
+  assertEquals(wantsJson(undefined, {}), false);
+});
+
+Deno.test("jsonSettings - reads opt-out and excluded keys", () => {
+  assertEquals(jsonSettings({}), { enabled: true, exclude: [] });
+  assertEquals(jsonSettings({ json: false }), { enabled: false, exclude: [] });
+  assertEquals(jsonSettings({ json: { exclude: "token" } }), {
+    enabled: true,
+    exclude: ["token"],
+  });
+});
+
+Deno.test("publicData - drops render settings and excluded paths", () => {
+  const data = {
+    layout: "admin",
+    json: { exclude: ["token", "users.email", "missing.key"] },
+    token: "secret",
+    users: [{ name: "Ada", email: "ada@example.com" }],
+    params: { id: 1 },
+  };
+
+  assertEquals(publicData(data, data.json.exclude), {
+    users: [{ name: "Ada" }],
+    params: { id: 1 },
+  });
+  // The page data itself is left alone
+  assertEquals(data.users[0].email, "ada@example.com");
+});
+
+Deno.test("publicData - excluded paths stay off prototypes", () => {
+  const data = { users: [{ name: "Ada" }] };
+  const exclude = [
+    "constructor.prototype.toLocaleString",
+    "__proto__.toString",
+    "users.constructor",
+  ];
+
+  assertEquals(publicData(data, exclude), { users: [{ name: "Ada" }] });
+  assertEquals(typeof Object.prototype.toLocaleString, "function");
+  assertEquals(typeof Object.prototype.toString, "function");
+  assertEquals(Object.prototype.constructor, Object);
+});
+
+Deno.test("varyHeader - localized sites vary by language and cookie", () => {
+  assertEquals(varyHeader(null), "Accept, HX-Request");
+  assertEquals(
+    varyHeader("fr"),
+    "Accept, HX-Request, Accept-Language, Cookie",
+  );
+});
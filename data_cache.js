@@ -0,0 +1,429 @@
+import { DB } from "https://deno.land/x/sqlite@v3.9.1/mod.ts";
+
+/**
+ * @typedef {Object} CacheSettings
+ * @property {number} ttl - Milliseconds a result is fresh
+ * @property {number} swr - Milliseconds a stale result is still served while
+ *   it is refreshed in the background
+ * @property {string} [key] - Cache key replacing the one built from the config
+ * @property {boolean} persist - Whether the result is also kept in SQLite
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {any} value - Cached result
+ * @property {number} freshUntil - Timestamp until which the result is fresh
+ * @property {number} staleUntil - Timestamp until which the result may be
+ *   served stale
+ */
+
+/**
+ * @typedef {Object} CachedResult
+ * @property {any} value - Result
+ * @property {'hit'|'stale'|'miss'} status - Where the result came from
+ */
+
+// Results kept in memory, least recently used first
+const MAX_ENTRIES = 1000;
+
+// Persistent store used by entries with `cache: { persist: true }`
+const DEFAULT_STORE = "data_cache.db";
+
+// Rows kept in the store; keys hold request values, so clients can add rows
+const MAX_STORED = 10000;
+
+// Config keys that change how an entry runs, not what it returns
+const RUN_KEYS = ["cache", "timeout", "depends_on"];
+
+// Endpoint purging cached results, enabled by `CACHE_PURGE_TOKEN`
+export const CACHE_PURGE_PATH = "/_cache/purge";
+
+/** @type {Map<string, CacheEntry>} */
+const entries = new Map();
+
+/** @type {Map<string, Promise<any>>} */
+const loading = new Map();
+
+/** @type {{path: string, db: DB}|null} */
+let store = null;
+
+/**
+ * Read an environment variable
+ * @param {string} name - Variable name
+ * @returns {string|undefined} Value
+ */
+function env(name) {
+  try {
+    return Deno.env.get(name);
+  } catch {
+    // No --allow-env
+    return undefined;
+  }
+}
+
+/**
+ * Read an entry's `cache:` option
+ *
+ * `cache: 60` caches for 60 seconds. The long form takes `ttl` and `swr`
+ * (stale-while-revalidate) in seconds, a custom `key` and `persist`.
+ *
+ * @param {any} option - Value of `cache:`
+ * @returns {CacheSettings|null} Settings, null when caching is off
+ * @throws {Error} When the option is invalid
+ */
+export function cacheSettings(option) {
+  if (option === undefined || option === null || option === false) return null;
+
+  const values = typeof option === "object" ? option : { ttl: option };
+  const { ttl, swr = 0, key, persist = false } = values;
+  if (typeof ttl !== "number" || !(ttl > 0)) {
+    throw new Error(`cache ttl must be a positive number of seconds: ${ttl}`);
+  }
+  if (typeof swr !== "number" || !(swr >= 0)) {
+    throw new Error(`cache swr must be a number of seconds: ${swr}`);
+  }
+
+  return {
+    ttl: ttl * 1000,
+    swr: swr * 1000,
+    key: key === undefined || key === null ? undefined : String(key),
+    persist: persist === true,
+  };
+}
+
+/**
+ * JSON with object keys sorted, so equal configs give equal strings
+ * @param {any} value - Value to serialize
+ * @returns {string} Stable JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const fields = Object.keys(value)
+      .sort()
+      .filter((name) => value[name] !== undefined)
+      .map((name) => `${JSON.stringify(name)}:${stableStringify(value[name])}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Cache key of a resolved fetch entry
+ *
+ * Built from the entry's result key and its rendered config, e.g.
+ * `user:{"key":"user","type":"request","url":"https://api/users/7"}`, so
+ * purging the prefix `user:` drops every cached `user` result.
+ *
+ * @param {Record<string, any>} config - Rendered fetch entry
+ * @param {CacheSettings} settings - Cache settings
+ * @returns {string} Cache key
+ */
+export function cacheKey(config, settings) {
+  if (settings.key !== undefined) return settings.key;
+
+  const resolved = Object.fromEntries(
+    Object.entries(config).filter(([name]) => !RUN_KEYS.includes(name)),
+  );
+  return `${config.key ?? config.type}:${stableStringify(resolved)}`;
+}
+
+/**
+ * Open the persistent store, `DATA_CACHE_DB` or data_cache.db
+ * @returns {DB} Database
+ */
+function getStore() {
+  const path = env("DATA_CACHE_DB") ?? DEFAULT_STORE;
+  if (store?.path !== path) {
+    store?.db.close();
+    const db = new DB(path);
+    db.execute(`CREATE TABLE IF NOT EXISTS data_cache (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      fresh_until INTEGER NOT NULL,
+      stale_until INTEGER NOT NULL
+    )`);
+    // Expired rows are pruned on every write
+    db.execute(
+      "CREATE INDEX IF NOT EXISTS data_cache_stale ON data_cache (stale_until)",
+    );
+    store = { path, db };
+  }
+  return store.db;
+}
+
+/**
+ * Close the persistent store, it is reopened on next use
+ * @returns {void}
+ */
+export function closeDataCacheStore() {
+  store?.db.close();
+  store = null;
+}
+
+/**
+ * Read a result from the persistent store, deleting it once expired
+ * @param {string} key - Cache key
+ * @returns {CacheEntry|undefined} Entry
+ */
+function readStored(key) {
+  const db = getStore();
+  const [row] = db.query(
+    "SELECT value, fresh_until, stale_until FROM data_cache WHERE key = ?",
+    [key],
+  );
+  if (!row) return undefined;
+  const [value, freshUntil, staleUntil] = row;
+  if (staleUntil <= Date.now()) {
+    db.query("DELETE FROM data_cache WHERE key = ?", [key]);
+    return undefined;
+  }
+  return { value: JSON.parse(value), freshUntil, staleUntil };
+}
+
+/**
+ * Write a result to the persistent store
+ *
+ * Expired rows are deleted on every write, and the rows expiring first once
+ * the store holds more than `MAX_STORED`.
+ *
+ * @param {string} key - Cache key
+ * @param {CacheEntry} entry - Entry
+ * @returns {void}
+ */
+function writeStored(key, entry) {
+  const db = getStore();
+  db.query("DELETE FROM data_cache WHERE stale_until <= ?", [Date.now()]);
+  db.query("INSERT OR REPLACE INTO data_cache VALUES (?, ?, ?, ?)", [
+    key,
+    JSON.stringify(entry.value),
+    entry.freshUntil,
+    entry.staleUntil,
+  ]);
+
+  const [[count]] = db.query("SELECT COUNT(*) FROM data_cache");
+  if (count > MAX_STORED) {
+    db.query(
+      `DELETE FROM data_cache WHERE key IN (
+        SELECT key FROM data_cache ORDER BY stale_until LIMIT ?
+      )`,
+      [count - MAX_STORED],
+    );
+  }
+}
+
+/**
+ * Remember a result in memory, evicting the least recently used one
+ * @param {string} key - Cache key
+ * @param {CacheEntry} entry - Entry
+ * @returns {void}
+ */
+function remember(key, entry) {
+  entries.delete(key);
+  if (entries.size >= MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  entries.set(key, entry);
+}
+
+/**
+ * Look up a cached result, memory first
+ * @param {string} key - Cache key
+ * @param {CacheSettings} settings - Cache settings
+ * @returns {CacheEntry|undefined} Entry that may still be served
+ */
+function lookup(key, settings) {
+  let entry = entries.get(key);
+  if (!entry && settings.persist) {
+    entry = readStored(key);
+    if (entry) remember(key, entry);
+  }
+  if (!entry) return undefined;
+
+  if (entry.staleUntil <= Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+  // Move to the end, Map iteration order doubles as recency
+  remember(key, entry);
+  return entry;
+}
+
+/**
+ * Load a result once per key, concurrent requests share the load
+ * @param {string} key - Cache key
+ * @param {CacheSettings} settings - Cache settings
+ * @param {() => Promise<any>} load - Runs the strategy, rejects on failure
+ * @param {Function} log - Logging function
+ * @returns {Promise<any>} Loaded result
+ */
+function refresh(key, settings, load, log) {
+  if (loading.has(key)) return loading.get(key);
+
+  const pending = (async () => {
+    const value = await load();
+    // Neither failures (rejected above) nor empty results are cached, the
+    // next request tries again
+    if (value === undefined) return undefined;
+
+    const now = Date.now();
+    const entry = {
+      value,
+      freshUntil: now + settings.ttl,
+      staleUntil: now + settings.ttl + settings.swr,
+    };
+    remember(key, entry);
+    if (settings.persist) {
+      try {
+        writeStored(key, entry);
+      } catch (error) {
+        log({
+          level: "error",
+          message: `Persisting cached data failed: ${error.message}`,
+          data: { key, error: error.message },
+        });
+      }
+    }
+    return value;
+  })().finally(() => loading.delete(key));
+
+  loading.set(key, pending);
+  return pending;
+}
+
+/**
+ * Serve a result from the cache or load it
+ *
+ * Fresh results are served as they are. Stale results within the `swr`
+ * window are served while a single background load replaces them. Anything
+ * older is loaded before responding.
+ *
+ * @param {string} key - Cache key
+ * @param {CacheSettings} settings - Cache settings
+ * @param {() => Promise<any>} load - Runs the strategy, rejects on failure
+ * @param {Function} log - Logging function
+ * @returns {Promise<CachedResult>} Result and where it came from
+ * @throws {Error} When loading a missing or expired result fails
+ */
+export async function cached(key, settings, load, log) {
+  let entry;
+  try {
+    entry = lookup(key, settings);
+  } catch (error) {
+    // A broken persistent store shouldn't take the page down
+    log({
+      level: "error",
+      message: `Reading cached data failed: ${error.message}`,
+      data: { key, error: error.message },
+    });
+  }
+
+  if (entry && entry.freshUntil > Date.now()) {
+    return { value: entry.value, status: "hit" };
+  }
+  if (entry) {
+    // Failures are logged by `load`, the stale result stays until it expires
+    refresh(key, settings, load, log).catch(() => {});
+    return { value: entry.value, status: "stale" };
+  }
+  return { value: await refresh(key, settings, load, log), status: "miss" };
+}
+
+/**
+ * Drop cached results whose key starts with a prefix
+ *
+ * Results in memory and in the persistent store (when it exists) are removed.
+ * An empty prefix empties the cache.
+ *
+ * @param {string} [prefix] - Cache key prefix, e.g. `user:`
+ * @returns {number} Number of removed memory and store entries
+ */
+export function purgeDataCache(prefix = "") {
+  let purged = 0;
+  for (const key of [...entries.keys()]) {
+    if (key.startsWith(prefix)) {
+      entries.delete(key);
+      purged++;
+    }
+  }
+
+  const path = env("DATA_CACHE_DB") ?? DEFAULT_STORE;
+  let exists = store?.path === path;
+  if (!exists) {
+    try {
+      exists = Deno.statSync(path).isFile;
+    } catch {
+      // No store yet, nothing was persisted
+    }
+  }
+  if (exists) {
+    const db = getStore();
+    const where = "WHERE substr(key, 1, length(?)) = ?";
+    const [[count]] = db.query(`SELECT COUNT(*) FROM data_cache ${where}`, [
+      prefix,
+      prefix,
+    ]);
+    db.query(`DELETE FROM data_cache ${where}`, [prefix, prefix]);
+    purged += count;
+  }
+
+  return purged;
+}
+
+/**
+ * Empty the memory cache, the persistent store keeps its results
+ * @returns {void}
+ */
+export function clearDataCache() {
+  entries.clear();
+}
+
+/**
+ * Count the results cached in memory
+ * @returns {number} Number of entries
+ */
+export function dataCacheSize() {
+  return entries.size;
+}
+
+/**
+ * Handle `POST /_cache/purge?prefix=...`
+ *
+ * Requires `Authorization: Bearer <CACHE_PURGE_TOKEN>`. Without the variable
+ * the endpoint doesn't exist.
+ *
+ * @param {Request} req - HTTP request
+ * @param {Function} log - Logging function
+ * @returns {Response} JSON response with the number of purged entries
+ */
+export function purgeRequest(req, log) {
+  const token = env("CACHE_PURGE_TOKEN");
+  if (!token) return new Response("Not Found", { status: 404 });
+  if (req.method !== "POST") {
+    return new Response("Method Not Allowed", {
+      status: 405,
+      headers: { allow: "POST" },
+    });
+  }
+  if (req.headers.get("authorization") !== `Bearer ${token}`) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const prefix = new URL(req.url).searchParams.get("prefix") ?? "";
+  const purged = purgeDataCache(prefix);
+  log({
+    level: "info",
+    message: `Purged cached data: ${prefix || "(all)"}`,
+    data: { prefix, purged },
+  });
+  return new Response(JSON.stringify({ prefix, purged }), {
+    headers: { "content-type": "application/json" },
+  });
+}
+
+if (import.meta.main) {
+  // Purges the persistent store, a running server keeps its memory cache
+  const prefix = Deno.args[0] ?? "";
+  console.log(`Purged ${purgeDataCache(prefix)} cached results`);
+  closeDataCacheStore();
+}
@@ -0,0 +1,308 @@
+import {
+  assertEquals,
+  assertRejects,
+  assertThrows,
+} from "https://deno.land/std@0.207.0/assert/mod.ts";
+import { DB } from "https://deno.land/x/sqlite@v3.9.1/mod.ts";
+import {
+  cached,
+  cacheKey,
+  cacheSettings,
+  clearDataCache,
+  closeDataCacheStore,
+  dataCacheSize,
+  purgeDataCache,
+  purgeRequest,
+} from "./data_cache.js";
+
+const log = () => {};
+
+/**
+ * Run a test with environment variables set, restoring them afterwards
+ * @param {Record<string, string>} vars - Variables to set
+ * @param {() => Promise<void>|void} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withEnv(vars, fn) {
+  const previous = Object.fromEntries(
+    Object.keys(vars).map((name) => [name, Deno.env.get(name)]),
+  );
+  for (const [name, value] of Object.entries(vars)) Deno.env.set(name, value);
+  try {
+    await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) Deno.env.delete(name);
+      else Deno.env.set(name, value);
+    }
+  }
+}
+
+Deno.test("cacheSettings - short and long forms", () => {
+  assertEquals(cacheSettings(undefined), null);
+  assertEquals(cacheSettings(false), null);
+  assertEquals(cacheSettings(60), {
+    ttl: 60000,
+    swr: 0,
+    key: undefined,
+    persist: false,
+  });
+  assertEquals(cacheSettings({ ttl: 1, swr: 30, key: 7, persist: true }), {
+    ttl: 1000,
+    swr: 30000,
+    key: "7",
+    persist: true,
+  });
+  assertThrows(() => cacheSettings("soon"), Error, "positive number");
+  assertThrows(() => cacheSettings({ ttl: 5, swr: -1 }), Error, "swr");
+});
+
+Deno.test("cacheKey - built from the resolved config", () => {
+  const settings = cacheSettings(60);
+  const first = cacheKey(
+    { type: "request", key: "user", url: "/u/1", timeout: 50, cache: 60 },
+    settings,
+  );
+  const reordered = cacheKey(
+    { url: "/u/1", key: "user", type: "request" },
+    settings,
+  );
+
+  assertEquals(first, reordered);
+  assertEquals(first.startsWith("user:"), true);
+  assertEquals(
+    first === cacheKey({ type: "request", key: "user", url: "/u/2" }, settings),
+    false,
+  );
+  assertEquals(
+    cacheKey({ key: "user" }, cacheSettings({ ttl: 1, key: "k" })),
+    "k",
+  );
+});
+
+Deno.test("cached - serves fresh results without loading", async () => {
+  purgeDataCache();
+  let loads = 0;
+  const load = () => Promise.resolve(++loads);
+  const settings = cacheSettings(60);
+
+  assertEquals(await cached("fresh", settings, load, log), {
+    value: 1,
+    status: "miss",
+  });
+  assertEquals(await cached("fresh", settings, load, log), {
+    value: 1,
+    status: "hit",
+  });
+  assertEquals(loads, 1);
+});
+
+Deno.test("cached - concurrent misses share one load", async () => {
+  purgeDataCache();
+  let loads = 0;
+  const load = async () => {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return ++loads;
+  };
+  const settings = cacheSettings(60);
+
+  const results = await Promise.all([
+    cached("shared", settings, load, log),
+    cached("shared", settings, load, log),
+  ]);
+  assertEquals(results.map(({ value }) => value), [1, 1]);
+  assertEquals(loads, 1);
+});
+
+Deno.test("cached - stale results are served while refreshing", async () => {
+  purgeDataCache();
+  let loads = 0;
+  const load = () => Promise.resolve(++loads);
+  const settings = { ttl: 20, swr: 60000, persist: false };
+
+  await cached("swr", settings, load, log);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+
+  assertEquals(await cached("swr", settings, load, log), {
+    value: 1,
+    status: "stale",
+  });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assertEquals(await cached("swr", settings, load, log), {
+    value: 2,
+    status: "hit",
+  });
+});
+
+Deno.test("cached - expired results and failures are loaded again", async () => {
+  purgeDataCache();
+  let loads = 0;
+  const settings = { ttl: 10, swr: 0, persist: false };
+
+  await cached("expired", settings, () => Promise.resolve(++loads), log);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assertEquals(
+    await cached("expired", settings, () => Promise.resolve(++loads), log),
+    { value: 2, status: "miss" },
+  );
+
+  // Neither empty results nor failures are cached
+  await cached("empty", settings, () => Promise.resolve(undefined), log);
+  assertEquals(
+    (await cached("empty", settings, () => Promise.resolve("ok"), log)).status,
+    "miss",
+  );
+  await assertRejects(
+    () =>
+      cached("failing", settings, () => Promise.reject(new Error("down")), log),
+    Error,
+    "down",
+  );
+  assertEquals(
+    (await cached("failing", settings, () => Promise.resolve("ok"), log))
+      .status,
+    "miss",
+  );
+});
+
+Deno.test("cached - least recently used results are evicted", async () => {
+  purgeDataCache();
+  const settings = cacheSettings(60);
+
+  await cached("first", settings, () => Promise.resolve("first"), log);
+  await cached("second", settings, () => Promise.resolve("second"), log);
+  for (let i = 0; i < 998; i++) {
+    await cached(`filler:${i}`, settings, () => Promise.resolve(i), log);
+  }
+  // Touch "first" so "second" is the oldest
+  await cached("first", settings, () => Promise.resolve("reloaded"), log);
+  await cached("one-more", settings, () => Promise.resolve(0), log);
+
+  assertEquals(dataCacheSize(), 1000);
+  assertEquals(
+    (await cached("first", settings, () => Promise.resolve(0), log)).status,
+    "hit",
+  );
+  assertEquals(
+    (await cached("second", settings, () => Promise.resolve(0), log)).status,
+    "miss",
+  );
+  purgeDataCache();
+});
+
+Deno.test("purgeDataCache - removes entries by key prefix", async () => {
+  purgeDataCache();
+  const settings = cacheSettings(60);
+  for (const key of ["user:1", "user:2", "orders:1"]) {
+    await cached(key, settings, () => Promise.resolve(key), log);
+  }
+
+  assertEquals(purgeDataCache("user:"), 2);
+  assertEquals(dataCacheSize(), 1);
+  assertEquals(
+    (await cached("orders:1", settings, () => Promise.resolve(0), log)).status,
+    "hit",
+  );
+});
+
+Deno.test("cached - persisted results survive a restart", async () => {
+  const dir = await Deno.makeTempDir();
+  await withEnv({ DATA_CACHE_DB: `${dir}/cache.db` }, async () => {
+    try {
+      purgeDataCache();
+      const settings = cacheSettings({ ttl: 60, persist: true });
+      await cached("report:1", settings, () => Promise.resolve({ n: 1 }), log);
+
+      // A new process starts with an empty memory cache
+      clearDataCache();
+      closeDataCacheStore();
+      assertEquals(
+        await cached("report:1", settings, () => Promise.resolve(0), log),
+        { value: { n: 1 }, status: "hit" },
+      );
+
+      // Memory and store entry
+      assertEquals(purgeDataCache("report:"), 2);
+      assertEquals(
+        (await cached("report:1", settings, () => Promise.resolve(0), log))
+          .status,
+        "miss",
+      );
+    } finally {
+      closeDataCacheStore();
+      await Deno.remove(dir, { recursive: true });
+    }
+  });
+});
+
+Deno.test("cached - expired rows are deleted from the store", async () => {
+  const dir = await Deno.makeTempDir();
+  const path = `${dir}/cache.db`;
+  const storedKeys = () => {
+    const db = new DB(path);
+    try {
+      return db.query("SELECT key FROM data_cache ORDER BY key").flat();
+    } finally {
+      db.close();
+    }
+  };
+
+  await withEnv({ DATA_CACHE_DB: path }, async () => {
+    try {
+      purgeDataCache();
+      const settings = cacheSettings({ ttl: 0.02, persist: true });
+      await cached("search:a", settings, () => Promise.resolve(1), log);
+      await cached("search:b", settings, () => Promise.resolve(2), log);
+      await new Promise((resolve) => setTimeout(resolve, 40));
+
+      // Reading an expired row deletes it, even when loading fails
+      clearDataCache();
+      await assertRejects(() =>
+        cached("search:a", settings, () => Promise.reject(new Error()), log)
+      );
+      assertEquals(storedKeys(), ["search:b"]);
+
+      // Writing deletes every expired row
+      await cached("search:c", settings, () => Promise.resolve(3), log);
+      assertEquals(storedKeys(), ["search:c"]);
+    } finally {
+      closeDataCacheStore();
+      await Deno.remove(dir, { recursive: true });
+    }
+  });
+});
+
+Deno.test("purgeRequest - needs the purge token", async () => {
+  const request = (token) =>
+    new Request("http://localhost/_cache/purge?prefix=user:", {
+      method: "POST",
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+    });
+
+  const previous = Deno.env.get("CACHE_PURGE_TOKEN");
+  Deno.env.delete("CACHE_PURGE_TOKEN");
+  try {
+    assertEquals(purgeRequest(request("secret"), log).status, 404);
+  } finally {
+    if (previous !== undefined) Deno.env.set("CACHE_PURGE_TOKEN", previous);
+  }
+
+  const dir = await Deno.makeTempDir();
+  await withEnv({
+    CACHE_PURGE_TOKEN: "secret",
+    DATA_CACHE_DB: `${dir}/missing.db`,
+  }, async () => {
+    try {
+      purgeDataCache();
+      await cached("user:1", cacheSettings(60), () => Promise.resolve(1), log);
+
+      assertEquals(purgeRequest(request("wrong"), log).status, 401);
+      const response = purgeRequest(request("secret"), log);
+      assertEquals(response.status, 200);
+      assertEquals(await response.json(), { prefix: "user:", purged: 1 });
+      assertEquals(dataCacheSize(), 0);
+    } finally {
+      await Deno.remove(dir, { recursive: true });
+    }
+  });
+});
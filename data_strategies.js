@@ -0,0 +1,22 @@
+import { requestStrategy } from "./request_strategy.js";
+import { sqliteStrategy } from "./sqlite_strategy.js";
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {import("./route_manifest.js").RouteMatch['params']} params - URL parameters
+ * @property {Record<string, string>} query - Query parameters
+ */
+
+/**
+ * @typedef {Function} Strategy
+ * @param {any} config - Strategy configuration
+ * @param {RequestContext} context - Request context
+ * @returns {Promise<any>} Strategy result
+ */
+
+// Data strategies map - shared by the server and the static export
+/** @type {Record<string, Strategy>} */
+export const dataStrategies = {
+  request: requestStrategy,
+  sqlite: sqliteStrategy,
+};
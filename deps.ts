@@ -1,5 +1,13 @@
 // Dependencies for Deno web server
 export { default as Handlebars } from "https://esm.sh/handlebars@4.7.8";
+export { Marked } from "https://esm.sh/marked@12.0.2";
 export { config } from "https://deno.land/x/dotenv@v3.2.2/mod.ts";
 export { parse } from "https://deno.land/std@0.207.0/yaml/parse.ts";
 export { stringify } from "https://deno.land/std@0.207.0/yaml/stringify.ts";
+export {
+  dirname,
+  isAbsolute,
+  relative,
+  resolve,
+  toFileUrl,
+} from "https://deno.land/std@0.207.0/path/mod.ts";
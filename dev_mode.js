@@ -0,0 +1,12 @@
+/**
+ * Check whether the server runs in development mode (`DENO_ENV=development`)
+ * @returns {boolean} Whether development mode is enabled
+ */
+export function isDevelopment() {
+  try {
+    return Deno.env.get("DENO_ENV") === "development";
+  } catch {
+    // No --allow-env, treat as production
+    return false;
+  }
+}
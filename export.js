@@ -0,0 +1,422 @@
+import { dirname, parse, relative, resolve } from "./deps.ts";
+import { dataStrategies as defaultStrategies } from "./data_strategies.js";
+import { getLocales } from "./i18n.js";
+import { renderErrorPage, renderPage } from "./render_page.js";
+import {
+  getRouteManifest,
+  matchRoute,
+  readPageYaml,
+} from "./route_manifest.js";
+import { splitSafePath } from "./safe_path.js";
+import { extractYamlBlock } from "./yaml_block.js";
+
+const DIST_DIR = "./dist";
+const STATIC_DIR = "./static";
+
+// Directories the export must never write into or delete
+const SOURCE_DIRS = ["locales", "pages", "static", "templates"];
+
+// Written into every export, so only those are emptied by the next one
+const EXPORT_MARKER = ".export";
+
+/**
+ * @typedef {Object} SkippedRoute
+ * @property {string} pattern - Route directory pattern, e.g. `blog/[slug]`
+ * @property {string} reason - Why nothing (or one path) was exported
+ */
+
+/**
+ * @typedef {Object} FailedPage
+ * @property {string} path - URL path
+ * @property {number} status - Status returned by `renderPage`
+ */
+
+/**
+ * @typedef {Object} ExportResult
+ * @property {string[]} pages - Exported URL paths, e.g. `/docs/intro` or
+ *   `/fr/docs/intro`
+ * @property {number[]} errorPages - Error page statuses written as `<status>.html`
+ * @property {SkippedRoute[]} skipped - Routes and param sets that were left out
+ * @property {FailedPage[]} failed - Pages that did not render with a 200
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [outDir] - Output directory, `./dist` by default
+ * @property {Record<string, import("./data_strategies.js").Strategy>} [dataStrategies] - Data strategies
+ * @property {Function} log - Logging function
+ */
+
+/**
+ * Values of a catch-all parameter as a list
+ * @param {any} value - Array, `a/b` string or single value
+ * @returns {any[]} Segment values
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") return value.split("/").filter(Boolean);
+  return [value];
+}
+
+/**
+ * Build the URL path of a route for a set of params
+ * @param {import("./route_manifest.js").Route} route - Route to fill in
+ * @param {Record<string, any>} params - Parameter values by name
+ * @returns {string} URL path without leading slash, percent-encoded
+ * @throws {Error} When a required parameter has no value
+ */
+export function routePath(route, params) {
+  const parts = [];
+
+  for (const segment of route.segments) {
+    const value = params[segment.value];
+    switch (segment.type) {
+      case "static":
+        parts.push(encodeURIComponent(segment.value));
+        break;
+      case "param":
+      case "optional":
+        if (value === undefined || value === null || value === "") {
+          if (segment.type === "optional") break;
+          throw new Error(`Missing value for [${segment.value}]`);
+        }
+        parts.push(encodeURIComponent(String(value)));
+        break;
+      case "catchall":
+      case "optional-catchall": {
+        const values = toList(value);
+        if (values.length === 0 && segment.type === "catchall") {
+          throw new Error(`Missing value for [...${segment.value}]`);
+        }
+        parts.push(...values.map((item) => encodeURIComponent(String(item))));
+        break;
+      }
+    }
+  }
+
+  return parts.join("/");
+}
+
+/**
+ * Turn a `static_paths` entry into params
+ *
+ * Objects are used as they are, arrays (e.g. SQLite rows) are matched to the
+ * route's parameters in order, and a single value fills a route's only
+ * parameter.
+ *
+ * @param {any} entry - Entry from `static_paths`
+ * @param {string[]} names - Parameter names in route order
+ * @returns {Record<string, any>} Parameter values by name
+ */
+function entryParams(entry, names) {
+  if (Array.isArray(entry)) {
+    return Object.fromEntries(names.map((name, i) => [name, entry[i]]));
+  }
+  if (entry && typeof entry === "object") return entry;
+  return names.length === 1 ? { [names[0]]: entry } : {};
+}
+
+/**
+ * Read a route's `static_paths:` block and resolve it to param sets
+ *
+ * The block is either a literal list or a single `fetch_data`-style config
+ * (`type:` plus strategy options) whose result is a list. It is parsed as
+ * plain YAML, without Handlebars, since there is no request to render with.
+ *
+ * @param {import("./route_manifest.js").Route} route - Route to enumerate
+ * @param {Record<string, Function>} dataStrategies - Data strategies
+ * @returns {Promise<Record<string, any>[]|null>} Param sets, null without a
+ *   `static_paths:` block
+ * @throws {Error} When the block is invalid or its strategy fails
+ */
+async function readStaticPaths(route, dataStrategies) {
+  const yamlContent = await readPageYaml(dirname(route.pagePath), route.format);
+  const { block } = extractYamlBlock(yamlContent ?? "", "static_paths");
+  if (!block) return null;
+
+  let entries = parse(block)?.static_paths;
+  if (entries && !Array.isArray(entries) && typeof entries === "object") {
+    const strategy = dataStrategies[entries.type];
+    if (!strategy) throw new Error(`Unknown fetch strategy: ${entries.type}`);
+    entries = await strategy(entries, { params: {}, query: {} });
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error("static_paths must be a list or a fetch_data config");
+  }
+
+  const names = route.segments
+    .filter((segment) => segment.type !== "static")
+    .map((segment) => segment.value);
+  return entries.map((entry) => entryParams(entry, names));
+}
+
+/**
+ * Param sets to export a route with
+ * @param {import("./route_manifest.js").Route} route - Route to enumerate
+ * @param {Record<string, Function>} dataStrategies - Data strategies
+ * @returns {Promise<Record<string, any>[]|null>} Param sets, null when the
+ *   route needs `static_paths:` but has none
+ */
+async function routeParamSets(route, dataStrategies) {
+  const staticPaths = await readStaticPaths(route, dataStrategies);
+  if (staticPaths) return staticPaths;
+
+  // Without static_paths, only routes that match with no params are exported
+  const required = route.segments.some((segment) =>
+    segment.type === "param" || segment.type === "catchall"
+  );
+  return required ? null : [{}];
+}
+
+/**
+ * Refuse output directories that would delete the project or something else
+ *
+ * The directory is emptied before exporting, so it must be missing, empty or
+ * the result of an earlier export (holding the `.export` marker).
+ *
+ * @param {string} outDir - Output directory
+ * @returns {Promise<void>}
+ * @throws {Error} When the directory is the project root, one of its parents,
+ *   a source or dot directory, not a directory or holds other files
+ */
+async function assertSafeOutDir(outDir) {
+  const root = resolve(".");
+  const target = resolve(outDir);
+  const fromTarget = relative(target, root);
+  const fromRoot = relative(root, target);
+  const parts = fromRoot.split(/[/\\]/);
+
+  if (!fromTarget.startsWith("..")) {
+    throw new Error(`Refusing to export into ${outDir}: contains the project`);
+  }
+  if (SOURCE_DIRS.includes(parts[0])) {
+    throw new Error(`Refusing to export into ${outDir}: source directory`);
+  }
+  if (parts.some((part) => part.startsWith(".") && part !== "..")) {
+    throw new Error(`Refusing to export into ${outDir}: dot directory`);
+  }
+
+  let info;
+  try {
+    info = await Deno.stat(target);
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) return;
+    throw error;
+  }
+  if (!info.isDirectory) {
+    throw new Error(`Refusing to export into ${outDir}: not a directory`);
+  }
+
+  const entries = [];
+  for await (const entry of Deno.readDir(target)) entries.push(entry.name);
+  if (entries.length > 0 && !entries.includes(EXPORT_MARKER)) {
+    throw new Error(
+      `Refusing to export into ${outDir}: not empty and not an earlier export`,
+    );
+  }
+}
+
+/**
+ * Copy a directory tree
+ * @param {string} from - Source directory
+ * @param {string} to - Target directory
+ * @returns {Promise<void>}
+ */
+async function copyDir(from, to) {
+  await Deno.mkdir(to, { recursive: true });
+  for await (const entry of Deno.readDir(from)) {
+    if (entry.isDirectory) {
+      await copyDir(`${from}/${entry.name}`, `${to}/${entry.name}`);
+    } else if (entry.isFile) {
+      await Deno.copyFile(`${from}/${entry.name}`, `${to}/${entry.name}`);
+    }
+  }
+}
+
+/**
+ * Write a file, creating its directory
+ * @param {string} filePath - File path
+ * @param {string} content - File content
+ * @returns {Promise<void>}
+ */
+async function writeFile(filePath, content) {
+  await Deno.mkdir(dirname(filePath), { recursive: true });
+  await Deno.writeTextFile(filePath, content);
+}
+
+/**
+ * Render every page into a directory of static files
+ *
+ * Each route is rendered through `renderPage` into `<path>/index.html`.
+ * Routes with required params are rendered once per `static_paths:` entry
+ * and skipped without one. Error pages become `<status>.html` and `static/`
+ * is copied as is. On a localized site the default locale is written at the
+ * root and every other locale into `<locale>/`, pages and error pages alike.
+ * The output directory is emptied first and marked with an `.export` file.
+ *
+ * @param {ExportOptions} options - Export options
+ * @returns {Promise<ExportResult>} Exported, skipped and failed pages
+ * @throws {Error} When the output directory is unsafe or routes conflict
+ */
+export async function exportSite(
+  { outDir = DIST_DIR, dataStrategies = defaultStrategies, log },
+) {
+  await assertSafeOutDir(outDir);
+
+  const manifest = await getRouteManifest();
+  if (manifest.conflicts.length > 0) {
+    throw new Error("Conflicting routes found in pages/");
+  }
+
+  await Deno.remove(outDir, { recursive: true }).catch((error) => {
+    if (!(error instanceof Deno.errors.NotFound)) throw error;
+  });
+  await Deno.mkdir(outDir, { recursive: true });
+  await Deno.writeTextFile(`${outDir}/${EXPORT_MARKER}`, "");
+
+  /** @type {ExportResult} */
+  const result = { pages: [], errorPages: [], skipped: [], failed: [] };
+  const exported = new Set();
+  /** @type {string[][]} */
+  const targets = [];
+
+  for (const route of manifest.routes) {
+    let paramSets;
+    try {
+      paramSets = await routeParamSets(route, dataStrategies);
+    } catch (error) {
+      log({
+        level: "error",
+        message: `Reading static_paths failed: ${error.message}`,
+        data: { pattern: route.pattern, error: error.message },
+      });
+      result.failed.push({ path: `/${route.pattern}`, status: 500 });
+      continue;
+    }
+    if (!paramSets) {
+      result.skipped.push({
+        pattern: route.pattern,
+        reason: "no static_paths",
+      });
+      continue;
+    }
+
+    for (const params of paramSets) {
+      let path;
+      try {
+        path = routePath(route, params);
+      } catch (error) {
+        result.skipped.push({ pattern: route.pattern, reason: error.message });
+        continue;
+      }
+
+      // The path must come back to this route, with valid params
+      const segments = splitSafePath(path);
+      const match = segments && matchRoute(manifest, segments.join("/"));
+      if (match?.route !== route) {
+        result.skipped.push({
+          pattern: route.pattern,
+          reason: `/${path} is not served by this route`,
+        });
+        continue;
+      }
+      if (exported.has(path)) continue;
+      exported.add(path);
+      targets.push(segments);
+    }
+  }
+
+  // The default locale lives at the root, the others under their prefix
+  const { locales, defaultLocale } = await getLocales(log);
+  const prefixes = [
+    [],
+    ...locales.filter((locale) => locale !== defaultLocale).map((locale) => [
+      locale,
+    ]),
+  ];
+
+  for (const prefix of prefixes) {
+    for (const segments of targets) {
+      const path = [...prefix, ...segments].join("/");
+      const response = await renderPage(path, {}, log, dataStrategies);
+      if (response.status !== 200) {
+        await response.body?.cancel();
+        result.failed.push({ path: `/${path}`, status: response.status });
+        continue;
+      }
+
+      await writeFile(
+        [outDir, ...prefix, ...segments, "index.html"].join("/"),
+        await response.text(),
+      );
+      result.pages.push(`/${path}`);
+    }
+  }
+
+  // CDNs serve 404.html for missing files
+  for (const status of Object.keys(manifest.errorPages).map(Number)) {
+    for (const [locale = null] of prefixes) {
+      const file = [outDir, locale, `${status}.html`].filter(Boolean).join("/");
+      const response = await renderErrorPage({
+        status,
+        path: "",
+        log,
+        dataStrategies,
+        locale,
+      });
+      if (!response.headers.get("content-type")?.startsWith("text/html")) {
+        await response.body?.cancel();
+        result.failed.push({
+          path: file.slice(outDir.length),
+          status: response.status,
+        });
+        continue;
+      }
+      await writeFile(file, await response.text());
+      if (!locale) result.errorPages.push(status);
+    }
+  }
+
+  try {
+    await copyDir(STATIC_DIR, `${outDir}/static`);
+  } catch (error) {
+    if (!(error instanceof Deno.errors.NotFound)) throw error;
+  }
+
+  return result;
+}
+
+if (import.meta.main) {
+  const outDir = Deno.args[0] ?? DIST_DIR;
+
+  // Requests are logged by renderPage, only problems are worth printing here
+  const log = ({ level, message, data }) => {
+    if (level === "info") return;
+    console.error(
+      JSON.stringify({
+        level,
+        message,
+        data,
+        timestamp: new Date().toISOString(),
+      }),
+    );
+  };
+
+  const { pages, errorPages, skipped, failed } = await exportSite({
+    outDir,
+    log,
+  });
+
+  for (const { pattern, reason } of skipped) {
+    console.log(`Skipped ${pattern}: ${reason}`);
+  }
+  for (const { path, status } of failed) {
+    console.error(`Failed ${path}: ${status}`);
+  }
+  console.log(
+    `Exported ${pages.length} pages and ${errorPages.length} error pages to ${outDir}`,
+  );
+
+  if (failed.length > 0) Deno.exit(1);
+}
@@ -0,0 +1,179 @@
+import {
+  assertEquals,
+  assertRejects,
+  assertThrows,
+} from "https://deno.land/std@0.207.0/assert/mod.ts";
+import { exportSite, routePath } from "./export.js";
+import { compilePattern, reloadRouteManifest } from "./route_manifest.js";
+
+// Mock logging function
+const mockLog = () => {};
+
+Deno.test("routePath - fills in params, optional and catch-all segments", () => {
+  const route = (pattern) => ({ segments: compilePattern(pattern) });
+
+  assertEquals(routePath(route("about"), {}), "about");
+  assertEquals(routePath(route("blog/[slug]"), { slug: "a b" }), "blog/a%20b");
+  assertEquals(routePath(route("[[lang]]/about"), {}), "about");
+  assertEquals(
+    routePath(route("docs/[...slug]"), { slug: ["guide", "routing"] }),
+    "docs/guide/routing",
+  );
+  assertEquals(routePath(route("docs/[...slug]"), { slug: "a/b" }), "docs/a/b");
+  assertEquals(routePath(route("files/[[...rest]]"), {}), "files");
+  assertThrows(
+    () => routePath(route("blog/[slug]"), {}),
+    Error,
+    "Missing value for [slug]",
+  );
+});
+
+Deno.test("exportSite - renders pages, error pages and static files", async () => {
+  const outDir = await Deno.makeTempDir();
+
+  try {
+    const result = await exportSite({ outDir, log: mockLog });
+
+    assertEquals(result.failed, []);
+    assertEquals(result.pages.includes("/"), true);
+    assertEquals(result.pages.includes("/with-data"), true);
+    // docs/[...slug] lists its pages in static_paths
+    assertEquals(result.pages.includes("/docs/guide/routing"), true);
+    assertEquals(result.errorPages.includes(404), true);
+    assertEquals(
+      result.skipped.some(({ pattern }) => pattern === "[userId]"),
+      true,
+    );
+
+    const page = await Deno.readTextFile(`${outDir}/with-data/index.html`);
+    assertEquals(page.includes("My name is Alice, I am 45."), true);
+    const markdown = await Deno.readTextFile(`${outDir}/guide/index.html`);
+    assertEquals(markdown.includes("<h1>Writing pages in Markdown</h1>"), true);
+    const notFound = await Deno.readTextFile(`${outDir}/404.html`);
+    assertEquals(notFound.includes("<title>Page not found</title>"), true);
+    assertEquals(
+      await Deno.readTextFile(`${outDir}/static/css/style.css`),
+      await Deno.readTextFile("./static/css/style.css"),
+    );
+  } finally {
+    await Deno.remove(outDir, { recursive: true });
+  }
+});
+
+Deno.test("exportSite - writes every locale under its prefix", async () => {
+  const outDir = await Deno.makeTempDir();
+
+  try {
+    const result = await exportSite({ outDir, log: mockLog });
+
+    assertEquals(result.failed, []);
+    assertEquals(result.pages.includes("/fr/about"), true);
+    assertEquals(result.pages.includes("/de/with-data"), true);
+    // The default locale is only written at the root
+    assertEquals(result.pages.some((path) => path.startsWith("/en/")), false);
+
+    const home = await Deno.readTextFile(`${outDir}/index.html`);
+    assertEquals(home.includes('<html lang="en">'), true);
+    const french = await Deno.readTextFile(`${outDir}/fr/index.html`);
+    assertEquals(french.includes('<html lang="fr">'), true);
+    assertEquals(french.includes("Accueil"), true);
+    const notFound = await Deno.readTextFile(`${outDir}/de/404.html`);
+    assertEquals(notFound.includes('<html lang="de">'), true);
+  } finally {
+    await Deno.remove(outDir, { recursive: true });
+  }
+});
+
+Deno.test("exportSite - static_paths from a data strategy", async () => {
+  const pageDir = "./pages/export-test/[id]";
+  const outDir = await Deno.makeTempDir();
+  await Deno.mkdir(pageDir, { recursive: true });
+  await Deno.writeTextFile(
+    `${pageDir}/index.html`,
+    "<p>Item {{params.id}}</p>",
+  );
+  await Deno.writeTextFile(
+    `${pageDir}/get.yaml`,
+    [
+      "layout: false",
+      "params:",
+      "  id: int",
+      "static_paths:",
+      "  type: rows",
+      "  sql: SELECT id FROM items",
+    ].join("\n"),
+  );
+  const dataStrategies = {
+    // SQLite-style rows, matched to the params in route order
+    rows: (config) => {
+      assertEquals(config.sql, "SELECT id FROM items");
+      return [[1], [2], ["x"]];
+    },
+  };
+
+  try {
+    await reloadRouteManifest(mockLog);
+    const result = await exportSite({ outDir, dataStrategies, log: mockLog });
+
+    assertEquals(
+      result.pages.filter((path) => path.startsWith("/export-test")),
+      ["/export-test/1", "/export-test/2"],
+    );
+    // "x" is not an int, so the route would never serve it
+    assertEquals(
+      result.skipped.some(({ reason }) =>
+        reason === "/export-test/x is not served by this route"
+      ),
+      true,
+    );
+    assertEquals(
+      await Deno.readTextFile(`${outDir}/export-test/2/index.html`),
+      "<p>Item 2</p>",
+    );
+  } finally {
+    await Deno.remove(outDir, { recursive: true });
+    await Deno.remove("./pages/export-test", { recursive: true });
+    await reloadRouteManifest(mockLog);
+  }
+});
+
+Deno.test("exportSite - refuses to overwrite the project", async () => {
+  for (const outDir of [".", "..", "pages", "./static/dist", "locales"]) {
+    await assertRejects(
+      () => exportSite({ outDir, log: mockLog }),
+      Error,
+      "Refusing to export",
+    );
+  }
+});
+
+Deno.test("exportSite - refuses files, dot and foreign directories", async () => {
+  const dir = await Deno.makeTempDir();
+  await Deno.writeTextFile(`${dir}/notes.txt`, "keep me");
+
+  try {
+    const refused = [
+      [`${dir}/notes.txt`, "not a directory"],
+      [`${dir}/.config`, "dot directory"],
+      [dir, "not empty and not an earlier export"],
+    ];
+    for (const [outDir, reason] of refused) {
+      await assertRejects(
+        () => exportSite({ outDir, log: mockLog }),
+        Error,
+        reason,
+      );
+    }
+    assertEquals(await Deno.readTextFile(`${dir}/notes.txt`), "keep me");
+
+    // An earlier export is marked and may be replaced
+    const outDir = `${dir}/dist`;
+    await exportSite({ outDir, log: mockLog });
+    await Deno.writeTextFile(`${outDir}/stale.html`, "old");
+    await exportSite({ outDir, log: mockLog });
+    await assertRejects(() => Deno.stat(`${outDir}/stale.html`));
+    await Deno.stat(`${outDir}/.export`);
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+});
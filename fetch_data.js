@@ -1,19 +1,60 @@
 import { parse } from "https://deno.land/std@0.207.0/yaml/parse.ts";
-import { Handlebars } from "./deps.ts";
+import { bindValues, usesStructuredBinding } from "./binding.js";
+import { cached, cacheKey, cacheSettings } from "./data_cache.js";
+import { isDevelopment } from "./dev_mode.js";
+import { createHandlebars, ensureHelpersLoaded } from "./helpers.js";
+import { compileTemplate } from "./template_cache.js";
+import { applyTransforms } from "./transform.js";
+import {
+  extractYamlBlock,
+  quoteExpressions,
+  splitYamlList,
+} from "./yaml_block.js";
 
 /**
  * @typedef {Object} RequestContext
- * @property {Record<string, string>} params - URL parameters
+ * @property {import("./route_manifest.js").RouteMatch['params']} params - URL parameters
  * @property {Record<string, string>} query - Query parameters
+ * @property {string} [locale] - Request locale, when the site has catalogs
+ * @property {AbortSignal} [signal] - Aborted when the entry's `timeout` passes
  */
 
 /**
  * @typedef {Object} FetchConfig
  * @property {string} type - Strategy type
  * @property {string} key - Result key
+ * @property {number} [timeout] - Milliseconds before the strategy is aborted
+ * @property {string|string[]} [depends_on] - Keys of entries to fetch first
+ * @property {number|Record<string, any>} [cache] - Cache TTL in seconds or
+ *   `{ ttl, swr, key, persist }`
+ * @property {'fail'|'default'|'ignore'} [on_error] - What a failure does
+ * @property {any} [default] - Result used when the entry fails
+ * @property {import("./transform.js").TransformStep[]} [transform] - Steps
+ *   reshaping the result before it is stored under `key`
  * @property {any} [config] - Strategy-specific configuration
  */
 
+/**
+ * @typedef {Object} FetchFailure
+ * @property {string} type - Strategy type
+ * @property {string} [message] - Why the entry has no result, left out of the
+ *   page data outside development mode
+ * @property {boolean} timed_out - Whether the entry ran out of `timeout`
+ */
+
+/**
+ * @typedef {Object} FetchOutcome
+ * @property {any} [value] - Result, or the `default:` value after a failure
+ * @property {FetchFailure} [error] - Failure, when the strategy had no result
+ * @property {boolean} [fail] - Whether the failure fails the whole page
+ */
+
+/**
+ * @typedef {Object} FetchResults
+ * @property {Record<string, any>} results - Results by key
+ * @property {Record<string, FetchFailure>} errors - Failures by key
+ */
+
 /**
  * @typedef {Function} Strategy
  * @param {any} config - Strategy configuration
@@ -24,24 +65,148 @@ import { Handlebars } from "./deps.ts";
 /**
  * @typedef {Object} FetchDataOptions
  * @property {string} yamlContent - Raw YAML content
- * @property {Record<string, string>} params - URL parameters
+ * @property {import("./route_manifest.js").RouteMatch['params']} params - URL parameters
  * @property {Record<string, string>} query - Query parameters
  * @property {Record<string, Strategy>} dataStrategies - Available data strategies
  * @property {Function} log - Logging function
+ * @property {string|null} [locale] - Request locale, exposed as `locale`
  */
 
 // Initialize Handlebars for this module
-const handlebars = Handlebars.create();
+const handlebars = createHandlebars();
+
+// What a failed entry does: fail the page, use its `default:` or leave it out
+const ERROR_POLICIES = ["fail", "default", "ignore"];
+
+/**
+ * A `fetch_data` entry with `on_error: fail` has no result, the page is
+ * answered with a 502
+ */
+export class DataFetchError extends Error {
+  /**
+   * @param {string} key - Result key of the failed entry
+   * @param {FetchFailure} failure - Why it failed
+   */
+  constructor(key, failure) {
+    super(`Fetching ${key} failed: ${failure.message}`);
+    this.name = "DataFetchError";
+    this.key = key;
+    this.failure = failure;
+  }
+}
+
+/**
+ * Run a strategy, aborting it once `timeout` milliseconds have passed
+ *
+ * The strategy gets `context.signal` to cancel its work (the request strategy
+ * passes it to fetch). A strategy ignoring the signal is abandoned anyway, so
+ * a slow entry never holds up the page past its timeout.
+ *
+ * A synchronous strategy (SQLite) blocks the timer until it returns, and
+ * everything else with it. Its result is dropped when it took too long, so
+ * the entry still times out, just not any sooner.
+ *
+ * @param {Strategy} strategy - Strategy to run
+ * @param {FetchConfig} config - Fetch configuration
+ * @param {RequestContext} context - Request context
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<any>} Strategy result
+ */
+function runWithTimeout(strategy, config, context, timeout) {
+  const controller = new AbortController();
+  const abort = () => {
+    const reason = new DOMException(
+      `Timed out after ${timeout}ms`,
+      "TimeoutError",
+    );
+    controller.abort(reason);
+    return reason;
+  };
+
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(abort()), timeout);
+  });
+
+  // Synchronous throws become rejections, so the timer is always cleared
+  const start = performance.now();
+  const result = new Promise((resolve) =>
+    resolve(strategy(config, { ...context, signal: controller.signal }))
+  ).then((value) => {
+    if (performance.now() - start > timeout) throw abort();
+    return value;
+  });
+  return Promise.race([result, timedOut]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Describe why an entry has no result
+ * @param {string} type - Strategy type
+ * @param {any} error - Thrown error or message
+ * @returns {FetchFailure} Failure for the `errors` context
+ */
+function fetchFailure(type, error) {
+  return {
+    type,
+    message: typeof error === "string"
+      ? error
+      : error?.message ?? String(error),
+    timed_out: error?.name === "TimeoutError",
+  };
+}
+
+/**
+ * Read an entry's `on_error` policy
+ *
+ * Without `on_error`, an entry with a `default:` value uses it and any other
+ * entry is left out of the page data.
+ *
+ * @param {FetchConfig|undefined} config - Fetch configuration
+ * @param {Function} log - Logging function
+ * @returns {'fail'|'default'|'ignore'} Policy
+ */
+function errorPolicy(config, log) {
+  const policy = config?.on_error ??
+    ("default" in (config ?? {}) ? "default" : "ignore");
+  if (ERROR_POLICIES.includes(policy)) return policy;
+
+  log({
+    level: "warn",
+    message: `Ignoring invalid on_error: ${policy}`,
+    data: { key: config.key, on_error: String(policy) },
+  });
+  return "ignore";
+}
+
+/**
+ * Apply an entry's `on_error` policy to its outcome
+ * @param {FetchConfig|undefined} config - Fetch configuration
+ * @param {FetchOutcome} outcome - Result or failure
+ * @param {Function} log - Logging function
+ * @returns {FetchOutcome} Outcome, with the `default:` value after a failure
+ */
+function settleOutcome(config, outcome, log) {
+  if (!outcome.error) return outcome;
+
+  const policy = errorPolicy(config, log);
+  if (policy === "fail") return { ...outcome, fail: true };
+  if (policy === "default") return { ...outcome, value: config.default };
+  return outcome;
+}
 
 /**
  * Execute individual fetch strategy using strategy map
+ *
+ * Entries with a `cache:` option are served from the data cache, keyed on
+ * their rendered config.
+ *
  * @param {FetchConfig} config - Fetch configuration
  * @param {RequestContext} context - Request context
  * @param {Record<string, Strategy>} dataStrategies - Available strategies
- * @returns {Promise<any>} Strategy result
+ * @returns {Promise<FetchOutcome>} Strategy result or failure
  */
 async function executeFetchStrategy(config, context, dataStrategies, log) {
-  const { type } = config;
+  const { type, key, timeout } = config;
 
   const strategy = dataStrategies[type];
   if (!strategy) {
@@ -50,19 +215,107 @@ async function executeFetchStrategy(config, context, dataStrategies, log) {
       message: `Unknown fetch strategy: ${type}`,
       data: { type },
     });
-    return undefined;
+    return { error: fetchFailure(type, `Unknown fetch strategy: ${type}`) };
   }
 
+  const hasTimeout = typeof timeout === "number" && timeout > 0;
+  if (timeout !== undefined && !hasTimeout) {
+    log({
+      level: "warn",
+      message: `Ignoring invalid fetch timeout: ${timeout}`,
+      data: { type, key, timeout: String(timeout) },
+    });
+  }
+
+  let settings = null;
   try {
-    return await strategy(config, context);
+    settings = cacheSettings(config.cache);
   } catch (error) {
     log({
-      level: "error",
-      message: `Strategy execution failed: ${error.message}`,
-      data: { type, error: error.message },
+      level: "warn",
+      message: `Ignoring invalid fetch cache: ${error.message}`,
+      data: { type, key },
     });
-    return undefined;
   }
+
+  const load = async () => {
+    const start = performance.now();
+    const elapsed = () => Math.round(performance.now() - start);
+    try {
+      let result = hasTimeout
+        ? await runWithTimeout(strategy, config, context, timeout)
+        : await strategy(config, context);
+      // Reshaped before caching, the cache key covers the transform steps
+      if (config.transform) result = applyTransforms(result, config.transform);
+      log({
+        level: "info",
+        message: `Strategy completed: ${key ?? type}`,
+        data: { type, key, durationMs: elapsed() },
+      });
+      return result;
+    } catch (error) {
+      const timedOut = error?.name === "TimeoutError";
+      log({
+        level: timedOut ? "warn" : "error",
+        message: timedOut
+          ? `Strategy timed out: ${key ?? type}`
+          : `Strategy execution failed: ${error.message}`,
+        data: { type, key, error: error.message, durationMs: elapsed() },
+      });
+      throw error;
+    }
+  };
+
+  try {
+    if (!settings) return { value: await load() };
+
+    const { value, status } = await cached(
+      cacheKey(config, settings),
+      settings,
+      load,
+      log,
+    );
+    if (status !== "miss") {
+      log({
+        level: "info",
+        message: `Strategy served from cache: ${key ?? type}`,
+        data: { type, key, cache: status },
+      });
+    }
+    return { value };
+  } catch (error) {
+    return { error: fetchFailure(type, error) };
+  }
+}
+
+/**
+ * Merge entry outcomes, a later entry wins a shared key
+ * @param {(FetchConfig|undefined)[]} configs - Entries in `fetch_data` order
+ * @param {FetchOutcome[]} outcomes - Settled outcomes of the entries
+ * @returns {FetchResults} Results and failures by key
+ * @throws {DataFetchError} When an entry with `on_error: fail` failed
+ */
+function mergeOutcomes(configs, outcomes) {
+  const results = {};
+  const errors = {};
+
+  configs.forEach((config, index) => {
+    const { value, error, fail } = outcomes[index];
+    const key = config?.key;
+    if (fail) throw new DataFetchError(key ?? config?.type, error);
+
+    if (key && error) {
+      // Upstream and SQLite errors can reveal internals, pages may be JSON
+      errors[key] = isDevelopment()
+        ? error
+        : { type: error.type, timed_out: error.timed_out };
+    } else if (key) {
+      delete errors[key];
+    }
+    if (key && value !== undefined) results[key] = value;
+  });
+
+  return { results, errors };
 }
 
 /**
@@ -70,53 +323,413 @@ async function executeFetchStrategy(config, context, dataStrategies, log) {
  * @param {any} fetchConfig - Fetch configuration (object or array)
  * @param {RequestContext} context - Request context
  * @param {Record<string, Strategy>} dataStrategies - Available strategies
- * @returns {Promise<Record<string, any>>} Fetched data results
+ * @returns {Promise<FetchResults>} Fetched data results and failures
+ * @throws {DataFetchError} When an entry with `on_error: fail` failed
  */
 async function fetchDataStrategies(fetchConfig, context, dataStrategies, log) {
-  if (!fetchConfig) return {};
+  if (!fetchConfig) return { results: {}, errors: {} };
 
-  const results = {};
-
-  // Handle array of fetch configs
+  // Handle an array of fetch configs or a single one
+  let configs = [];
   if (Array.isArray(fetchConfig)) {
-    for (const config of fetchConfig) {
-      const result = await executeFetchStrategy(
+    configs = fetchConfig;
+  } else if (typeof fetchConfig === "object") {
+    configs = [fetchConfig];
+  }
+
+  // Entries don't depend on each other, so they all run at the same time
+  const outcomes = await Promise.all(
+    configs.map(async (config) =>
+      settleOutcome(
         config,
-        context,
-        dataStrategies,
+        await executeFetchStrategy(config, context, dataStrategies, log),
         log,
+      )
+    ),
+  );
+
+  // Results are merged in entry order, a later entry wins a shared key
+  return mergeOutcomes(configs, outcomes);
+}
+
+/**
+ * @typedef {(data: Record<string, any>) => FetchConfig} EntryRenderer
+ * Resolves a `fetch_data` entry's expressions against the given data
+ */
+
+/**
+ * @typedef {Object} FetchEntry
+ * @property {EntryRenderer} render - Resolves the entry
+ * @property {FetchConfig} [config] - Entry rendered without earlier results,
+ *   for its key, `depends_on` and `on_error`
+ * @property {string} [key] - Result key
+ * @property {string[]} dependsOn - Keys of the entries that run first
+ * @property {string} [problem] - Why the entry can't run (cycle, unknown
+ *   dependency or invalid YAML)
+ */
+
+/**
+ * Check that a resolved entry is a mapping
+ * @param {any} config - Resolved entry
+ * @returns {FetchConfig} Entry configuration
+ * @throws {Error} When the entry isn't a mapping
+ */
+function asEntry(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("expected a mapping");
+  }
+  return config;
+}
+
+/**
+ * Renderer for a `fetch_data` list item's source, templated as text
+ * @param {string} source - List item source
+ * @returns {EntryRenderer} Renders and parses the item
+ */
+function textEntry(source) {
+  return (data) => {
+    const rendered = compileTemplate(handlebars, `fetch_data:\n${source}`)(
+      data,
+    );
+    return asEntry(parse(rendered)?.fetch_data?.[0]);
+  };
+}
+
+/**
+ * Renderer for a parsed `fetch_data` entry (`binding: structured`)
+ * @param {any} entry - Parsed entry
+ * @returns {EntryRenderer} Binds the entry's values
+ */
+function structuredEntry(entry) {
+  return (data) => asEntry(bindValues(entry, data));
+}
+
+/**
+ * Find `depends_on` cycles between entries
+ * @param {FetchEntry[]} entries - Fetch entries
+ * @param {Map<string, number[]>} byKey - Entry indexes by result key
+ * @returns {string[][]} Cycles as key paths, e.g. `["a", "b", "a"]`
+ */
+function findCycles(entries, byKey) {
+  const cycles = [];
+  const state = new Map(); // index -> "visiting" | "done"
+  const stack = [];
+
+  const visit = (index) => {
+    if (state.get(index) === "done") return;
+    if (state.get(index) === "visiting") {
+      const cycle = stack.slice(stack.indexOf(index));
+      cycles.push([...cycle, index].map((i) => entries[i].key));
+      return;
+    }
+    state.set(index, "visiting");
+    stack.push(index);
+    for (const key of entries[index].dependsOn) {
+      for (const dependency of byKey.get(key) ?? []) visit(dependency);
+    }
+    stack.pop();
+    state.set(index, "done");
+  };
+
+  entries.forEach((_, index) => visit(index));
+  return cycles;
+}
+
+/**
+ * Read the keys and `depends_on` of the entries, marking the ones that can't
+ * run
+ * @param {EntryRenderer[]} renderers - `fetch_data` entries
+ * @param {RequestContext} context - Request context
+ * @param {Function} log - Logging function
+ * @returns {{entries: FetchEntry[], byKey: Map<string, number[]>}} Entries and
+ *   their indexes by key
+ */
+function planEntries(renderers, context, log) {
+  /** @type {FetchEntry[]} */
+  const entries = renderers.map((render) => {
+    try {
+      // Earlier results aren't known yet, only the key and depends_on matter
+      const config = render(context);
+      return {
+        render,
+        config,
+        key: config.key,
+        dependsOn: [config.depends_on ?? []].flat().map(String),
+      };
+    } catch (error) {
+      log({
+        level: "error",
+        message: `Invalid fetch_data entry: ${error.message}`,
+        data: { error: error.message },
+      });
+      return {
+        render,
+        dependsOn: [],
+        problem: `Invalid fetch_data entry: ${error.message}`,
+      };
+    }
+  });
+
+  const byKey = new Map();
+  entries.forEach((entry, index) => {
+    if (entry.key === undefined) return;
+    byKey.set(entry.key, [...(byKey.get(entry.key) ?? []), index]);
+  });
+
+  for (const entry of entries) {
+    const unknown = entry.dependsOn.filter((key) => !byKey.has(key));
+    if (unknown.length === 0) continue;
+    entry.problem = `Unknown depends_on in fetch_data entry ${entry.key}: ${
+      unknown.join(", ")
+    }`;
+    log({
+      level: "error",
+      message: entry.problem,
+      data: { key: entry.key, unknown },
+    });
+  }
+
+  for (const cycle of findCycles(entries, byKey)) {
+    const problem = `Circular depends_on in fetch_data: ${cycle.join(" -> ")}`;
+    log({ level: "error", message: problem, data: { cycle } });
+    for (const key of cycle) {
+      for (const index of byKey.get(key)) entries[index].problem ??= problem;
+    }
+  }
+
+  return { entries, byKey };
+}
+
+/**
+ * Fetch `fetch_data` entries in `depends_on` order
+ *
+ * Every entry is rendered right before it runs, with the results of the
+ * entries it depends on available by key (`{{user.id}}`). Entries without
+ * pending dependencies run concurrently. An entry whose dependency has no
+ * result is skipped, and fails like any other entry.
+ *
+ * @param {EntryRenderer[]} renderers - `fetch_data` entries
+ * @param {RequestContext} context - Request context
+ * @param {Record<string, Strategy>} dataStrategies - Available strategies
+ * @param {Function} log - Logging function
+ * @returns {Promise<FetchResults>} Fetched data results and failures
+ * @throws {DataFetchError} When an entry with `on_error: fail` failed
+ */
+async function fetchDependentStrategies(
+  renderers,
+  context,
+  dataStrategies,
+  log,
+) {
+  const { entries, byKey } = planEntries(renderers, context, log);
+
+  /** @type {Map<number, Promise<FetchOutcome>>} */
+  const runs = new Map();
+
+  const run = (index) => {
+    if (!runs.has(index)) {
+      runs.set(
+        index,
+        execute(entries[index]).then((outcome) =>
+          settleOutcome(entries[index].config, outcome, log)
+        ),
       );
-      if (config.key && result !== undefined) {
-        results[config.key] = result;
-      }
     }
-  } else if (typeof fetchConfig === "object") {
-    // Handle single fetch config
-    const result = await executeFetchStrategy(
-      fetchConfig,
-      context,
-      dataStrategies,
-      log,
-    );
-    if (fetchConfig.key && result !== undefined) {
-      results[fetchConfig.key] = result;
+    return runs.get(index);
+  };
+
+  const execute = async (entry) => {
+    const type = entry.config?.type;
+    if (entry.problem) return { error: fetchFailure(type, entry.problem) };
+
+    const dependencies = entry.dependsOn.flatMap((key) => byKey.get(key));
+    const settled = await Promise.all(dependencies.map(run));
+
+    // Dependencies merge in entry order like the page data does
+    const prior = {};
+    dependencies
+      .map((dependency, i) => [dependency, settled[i].value])
+      .sort(([a], [b]) => a - b)
+      .forEach(([dependency, result]) => {
+        if (result !== undefined) prior[entries[dependency].key] = result;
+      });
+
+    const missing = entry.dependsOn.filter((key) => !(key in prior));
+    if (missing.length > 0) {
+      log({
+        level: "warn",
+        message: `Skipping fetch_data entry ${entry.key}: no result for ${
+          missing.join(", ")
+        }`,
+        data: { key: entry.key, missing },
+      });
+      return {
+        error: fetchFailure(type, `No result for ${missing.join(", ")}`),
+      };
     }
+
+    let config;
+    try {
+      config = entry.render({ ...prior, ...context });
+    } catch (error) {
+      log({
+        level: "error",
+        message: `Invalid fetch_data entry ${entry.key}: ${error.message}`,
+        data: { key: entry.key, error: error.message },
+      });
+      return { error: fetchFailure(type, error) };
+    }
+    return await executeFetchStrategy(config, context, dataStrategies, log);
+  };
+
+  const outcomes = await Promise.all(entries.map((_, index) => run(index)));
+
+  // Results are merged in entry order, a later entry wins a shared key
+  return mergeOutcomes(entries.map((entry) => entry.config), outcomes);
+}
+
+/**
+ * @typedef {Object} PreparedYaml
+ * @property {Record<string, any>} yamlData - Page data from the YAML
+ * @property {EntryRenderer[]|null} entries - `fetch_data` entries resolved one
+ *   at a time, null when `yamlData.fetch_data` holds them ready to run
+ * @property {((data: Record<string, any>) => any)|null} meta - Resolves the
+ *   `meta:` block against the final data
+ */
+
+/**
+ * Template the YAML as text, then parse it
+ *
+ * `meta:` is cut out for later, and so are `fetch_data` entries using
+ * `depends_on`.
+ *
+ * @param {string} source - YAML source without `static_paths`
+ * @param {RequestContext} context - Request context
+ * @param {Function} log - Logging function
+ * @returns {PreparedYaml} Parsed data, entries and meta
+ */
+function prepareTextYaml(source, context, log) {
+  const { block: metaBlock, rest } = extractYamlBlock(source, "meta");
+
+  // Entries using depends_on are rendered one by one as results come in
+  const { block: fetchBlock, rest: withoutFetch } = extractYamlBlock(
+    rest,
+    "fetch_data",
+  );
+  const fetchItems = fetchBlock?.includes("depends_on:")
+    ? splitYamlList(fetchBlock)
+    : null;
+  if (fetchBlock?.includes("depends_on:") && !fetchItems) {
+    log({
+      level: "warn",
+      message: "depends_on needs fetch_data to be a list of entries",
+      data: {},
+    });
+  }
+
+  const processedYaml = compileTemplate(
+    handlebars,
+    fetchItems ? withoutFetch : rest,
+  )(context);
+  log({
+    level: "info",
+    message: `Processed YAML template`,
+    data: { processedLength: processedYaml.length },
+  });
+
+  return {
+    yamlData: parse(processedYaml) ?? {},
+    entries: fetchItems?.map(textEntry) ?? null,
+    meta: metaBlock ? textMeta(metaBlock) : null,
+  };
+}
+
+/**
+ * Resolver for a text-mode `meta:` block
+ *
+ * The block is parsed first and its values bound afterwards, so fetched and
+ * request values are neither HTML-escaped here (the `meta` partial escapes
+ * them) nor able to break the YAML. Blocks using block helpers (`{{#if}}`)
+ * are only valid YAML once rendered, they are rendered as text, unescaped.
+ *
+ * @param {string} metaBlock - Raw `meta:` block
+ * @returns {(data: Record<string, any>) => any} Resolves the block
+ */
+function textMeta(metaBlock) {
+  if (/\{\{[#^/]|\{\{else/.test(metaBlock)) {
+    return (data) =>
+      parse(compileTemplate(handlebars, metaBlock, { noEscape: true })(data))
+        ?.meta;
   }
+  return (data) => bindValues(parse(quoteExpressions(metaBlock))?.meta, data);
+}
+
+/**
+ * Parse the YAML, then bind the `{{...}}` expressions of each value
+ * (`binding: structured`)
+ * @param {string} source - YAML source without `static_paths`
+ * @param {RequestContext} context - Request context
+ * @returns {PreparedYaml} Parsed data, entries and meta
+ */
+function prepareStructuredYaml(source, context) {
+  // deno-lint-ignore no-unused-vars
+  const { fetch_data, meta, binding, ...fields } = parse(source) ?? {};
+
+  return {
+    yamlData: bindValues(fields, context),
+    entries: fetch_data ? [fetch_data].flat().map(structuredEntry) : null,
+    meta: meta === undefined ? null : (data) => bindValues(meta, data),
+  };
+}
 
-  return results;
+/**
+ * Resolve the `meta:` block against the final page data
+ * @param {(data: Record<string, any>) => any} resolve - Resolves the block
+ * @param {Record<string, any>} data - Page data including fetched results
+ * @param {Function} log - Logging function
+ * @returns {Record<string, any>|undefined} Metadata
+ */
+function renderMeta(resolve, data, log) {
+  try {
+    return resolve(data) ?? undefined;
+  } catch (error) {
+    log({
+      level: "warn",
+      message: `Meta block processing failed: ${error.message}`,
+      data: { error: error.message },
+    });
+    return undefined;
+  }
 }
 
 /**
  * Process YAML content and fetch data
+ *
+ * A top-level `meta:` block is rendered last, so it can use fetched data as
+ * well as `params` and `query`. When `fetch_data` entries use `depends_on`,
+ * each entry is rendered just before it runs, with earlier results by key.
+ *
+ * With `binding: structured` the YAML is parsed before anything is templated
+ * and expressions are resolved per value, so request values can't change its
+ * structure and are never HTML-escaped.
+ *
+ * Failed entries are listed under `errors` by key, unless their `on_error`
+ * is `fail`.
+ *
  * @param {FetchDataOptions} options - Processing options
  * @returns {Promise<Record<string, any>>} Processed data with fetched results
+ * @throws {DataFetchError} When an entry with `on_error: fail` failed
  */
 export async function fetchData(
-  { yamlContent, params, query, dataStrategies, log },
+  { yamlContent, params, query, dataStrategies, log, locale },
 ) {
+  // Available to templates, strategies and the page alike
+  /** @type {RequestContext} */
+  const context = locale ? { params, query, locale } : { params, query };
+
   if (!yamlContent) {
     // No YAML content, return just params and query
-    return { params, query };
+    return context;
   }
 
   log({
@@ -126,39 +739,46 @@ export async function fetchData(
   });
 
   try {
-    // Process YAML with template variables
-    const processedYaml = handlebars.compile(yamlContent)({ params, query });
-    log({
-      level: "info",
-      message: `Processed YAML template`,
-      data: { processedLength: processedYaml.length },
-    });
-
-    // Parse processed YAML
-    const yamlData = parse(processedYaml);
+    // Meta waits for the fetched data and static_paths is only read by the
+    // static export
+    await ensureHelpersLoaded(log);
+    const source = extractYamlBlock(yamlContent, "static_paths").rest;
+    const { yamlData, entries, meta } = usesStructuredBinding(source)
+      ? prepareStructuredYaml(source, context)
+      : prepareTextYaml(source, context, log);
     log({
       level: "info",
       message: `Parsed YAML data`,
-      data: { hasFetchData: !!yamlData.fetch_data },
+      data: { hasFetchData: !!(entries || yamlData.fetch_data) },
     });
 
     // Handle fetch_data if present
-    if (yamlData.fetch_data) {
+    if (entries || yamlData.fetch_data) {
       log({
         level: "info",
         message: `Fetching data using strategies`,
         data: {},
       });
-      const fetchedData = await fetchDataStrategies(
-        yamlData.fetch_data,
-        { params, query },
-        dataStrategies,
-        log,
-      );
+      const { results: fetchedData, errors } = entries
+        ? await fetchDependentStrategies(
+          entries,
+          context,
+          dataStrategies,
+          log,
+        )
+        : await fetchDataStrategies(
+          yamlData.fetch_data,
+          context,
+          dataStrategies,
+          log,
+        );
       // Remove fetch_data from yamlData and merge fetched results
       // deno-lint-ignore no-unused-vars
       const { fetch_data, ...restYamlData } = yamlData;
-      const finalData = { ...restYamlData, ...fetchedData, params, query };
+      const finalData = { ...restYamlData, ...fetchedData, ...context };
+      // Lets templates explain missing data, e.g. `{{#if errors.user}}`
+      if (Object.keys(errors).length > 0) finalData.errors = errors;
+      if (meta) finalData.meta = renderMeta(meta, finalData, log);
       log({
         level: "info",
         message: `Final data after fetch`,
@@ -172,15 +792,20 @@ export async function fetchData(
         message: `No fetch_data found, returning parsed YAML`,
         data: {},
       });
-      return { ...yamlData, params, query };
+      const finalData = { ...yamlData, ...context };
+      if (meta) finalData.meta = renderMeta(meta, finalData, log);
+      return finalData;
     }
   } catch (error) {
+    // The page can't render without this data
+    if (error instanceof DataFetchError) throw error;
+
     log({
       level: "error",
       message: `YAML processing failed: ${error.message}`,
       data: { error: error.message },
     });
     // Return params and query even if processing fails
-    return { params, query };
+    return context;
   }
 }
@@ -3,8 +3,10 @@ import {
   assertEquals,
   assertExists,
   assertFalse,
+  assertRejects,
 } from "https://deno.land/std@0.207.0/assert/mod.ts";
-import { fetchData } from "./fetch_data.js";
+import { purgeDataCache } from "./data_cache.js";
+import { DataFetchError, fetchData } from "./fetch_data.js";
 
 // Mock logging function
 const mockLog = () => {};
@@ -314,3 +316,727 @@ value: test
   assertEquals(result.value, "test");
   // name might be empty or contain error text depending on Handlebars behavior
 });
+
+Deno.test("fetchData - catch-all params in template variables", async () => {
+  const yamlContent = `
+first: "{{params.slug.[0]}}"
+path: "{{#each params.slug}}/{{this}}{{/each}}"
+`;
+
+  const result = await fetchData({
+    yamlContent,
+    params: { slug: ["guide", "routing"] },
+    query: {},
+    dataStrategies: {},
+    log: mockLog,
+  });
+
+  assertEquals(result.first, "guide");
+  assertEquals(result.path, "/guide/routing");
+  assertEquals(result.params.slug, ["guide", "routing"]);
+});
+
+Deno.test("fetchData - helpers in YAML templates", async () => {
+  const yamlContent = `
+name: "{{default query.name "stranger"}}"
+search: "https://example.com/?q={{urlencode query.q}}"
+tags: {{json params.slug}}
+isAdmin: {{eq query.role "admin"}}
+`;
+
+  const result = await fetchData({
+    yamlContent,
+    params: { slug: ["a", "b"] },
+    query: { q: "deno & yaml", role: "admin" },
+    dataStrategies: {},
+    log: mockLog,
+  });
+
+  assertEquals(result.name, "stranger");
+  assertEquals(result.search, "https://example.com/?q=deno%20%26%20yaml");
+  assertEquals(result.tags, ["a", "b"]);
+  assertEquals(result.isAdmin, true);
+});
+
+Deno.test("fetchData - urlencode output isn't HTML-escaped", async () => {
+  const yamlContent = `
+url: https://example.com/search?q={{urlencode query.q}}&sort=name
+`;
+
+  const result = await fetchData({
+    yamlContent,
+    params: {},
+    query: { q: "O'Brien & <Sons>" },
+    dataStrategies: {},
+    log: mockLog,
+  });
+
+  assertEquals(
+    result.url,
+    "https://example.com/search?q=O%27Brien%20%26%20%3CSons%3E&sort=name",
+  );
+});
+
+Deno.test("fetchData - meta block is rendered with fetched data", async () => {
+  const yamlContent = `
+meta:
+  title: "Item {{item.result}}"
+  description: "{{name}} for {{params.id}}"
+name: Widget
+fetch_data:
+  type: test
+  key: item
+  value: meta
+`;
+
+  const result = await fetchData({
+    yamlContent,
+    params: { id: "7" },
+    query: {},
+    dataStrategies: mockDataStrategies,
+    log: mockLog,
+  });
+
+  assertEquals(result.name, "Widget");
+  assertEquals(result.meta, {
+    title: "Item test-meta-7",
+    description: "Widget for 7",
+  });
+});
+
+Deno.test("fetchData - meta values are bound without escaping", async () => {
+  const result = await fetchData({
+    yamlContent: `
+meta:
+  title: {{query.q}}
+  description: Results for {{query.q}}
+  image: '{{query.missing}}'
+`,
+    params: {},
+    query: { q: "Tom & Jerry's: best" },
+    dataStrategies: {},
+    log: mockLog,
+  });
+
+  assertEquals(result.meta, {
+    title: "Tom & Jerry's: best",
+    description: "Results for Tom & Jerry's: best",
+    image: null,
+  });
+});
+
+Deno.test("fetchData - meta blocks with block helpers are rendered as text", async () => {
+  const result = await fetchData({
+    yamlContent: `
+meta:
+  {{#if query.q}}
+  title: "Search: {{query.q}}"
+  {{else}}
+  title: Search
+  {{/if}}
+`,
+    params: {},
+    query: { q: "Tom & Jerry" },
+    dataStrategies: {},
+    log: mockLog,
+  });
+
+  assertEquals(result.meta, { title: "Search: Tom & Jerry" });
+});
+
+Deno.test("fetchData - invalid meta block keeps the page data", async () => {
+  const logs = [];
+  const result = await fetchData({
+    yamlContent: "name: Widget\nmeta:\n  title: [unclosed\n",
+    params: {},
+    query: {},
+    dataStrategies: {},
+    log: (entry) => logs.push(entry),
+  });
+
+  assertEquals(result.name, "Widget");
+  assertEquals(result.meta, undefined);
+  assertEquals(logs.some((entry) => entry.level === "warn"), true);
+});
+
+Deno.test("fetchData - static_paths is left out of page data", async () => {
+  const result = await fetchData({
+    yamlContent: "static_paths:\n  - id: 1\n  - id: 2\nname: Widget\n",
+    params: {},
+    query: {},
+    dataStrategies: {},
+    log: mockLog,
+  });
+
+  assertEquals(result, { name: "Widget", params: {}, query: {} });
+});
+
+Deno.test("fetchData - locale is exposed to YAML, strategies and the page", async () => {
+  const contexts = [];
+  const result = await fetchData({
+    yamlContent: [
+      "heading: '{{locale}}: {{t \"nav.home\"}}'",
+      "fetch_data:",
+      "  type: localized",
+      "  key: articles",
+      "  sql: SELECT * FROM articles WHERE lang = '{{locale}}'",
+    ].join("\n"),
+    params: {},
+    query: {},
+    dataStrategies: {
+      localized: (config, context) => {
+        contexts.push(context);
+        return [config.sql];
+      },
+    },
+    log: mockLog,
+    locale: "fr",
+  });
+
+  assertEquals(result.locale, "fr");
+  assertEquals(result.articles, ["SELECT * FROM articles WHERE lang = 'fr'"]);
+  assertEquals(contexts[0].locale, "fr");
+});
+
+/**
+ * Resolve after a delay, or reject as soon as the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+}
+
+Deno.test("fetchData - fetch_data entries run concurrently", async () => {
+  const logs = [];
+  const dataStrategies = {
+    slow: async (config) => {
+      await sleep(config.delay);
+      return config.value;
+    },
+  };
+
+  const start = performance.now();
+  const result = await fetchData({
+    yamlContent: `
+fetch_data:
+  - { type: slow, key: a, delay: 150, value: first }
+  - { type: slow, key: b, delay: 150, value: second }
+  - { type: slow, key: a, delay: 10, value: last }
+`,
+    params: {},
+    query: {},
+    dataStrategies,
+    log: (entry) => logs.push(entry),
+  });
+  const duration = performance.now() - start;
+
+  assertEquals(result.b, "second");
+  // Merged in entry order, not completion order
+  assertEquals(result.a, "last");
+  assertEquals(duration < 290, true, `took ${duration}ms`);
+
+  const timings = logs.filter((entry) =>
+    entry.message.startsWith("Strategy completed")
+  );
+  assertEquals(timings.length, 3);
+  assertEquals(typeof timings[0].data.durationMs, "number");
+});
+
+Deno.test("fetchData - timeout aborts the strategy", async () => {
+  const logs = [];
+  let signal;
+  const dataStrategies = {
+    // Cooperates through context.signal
+    cancellable: async (_config, context) => {
+      signal = context.signal;
+      await sleep(5000, context.signal);
+      return "late";
+    },
+    // Never settles and ignores the signal
+    stuck: () => new Promise(() => {}),
+    quick: () => "fast",
+  };
+
+  const start = performance.now();
+  const result = await fetchData({
+    yamlContent: `
+fetch_data:
+  - { type: cancellable, key: slow, timeout: 30 }
+  - { type: stuck, key: stuck, timeout: 30 }
+  - { type: quick, key: quick, timeout: 1000 }
+`,
+    params: {},
+    query: {},
+    dataStrategies,
+    log: (entry) => logs.push(entry),
+  });
+
+  assertEquals(performance.now() - start < 1000, true);
+  assertEquals(result.quick, "fast");
+  assertFalse("slow" in result);
+  assertFalse("stuck" in result);
+  assertEquals(signal.aborted, true);
+  assertEquals(signal.reason.name, "TimeoutError");
+
+  const timeouts = logs.filter((entry) =>
+    entry.message.startsWith("Strategy timed out")
+  );
+  assertEquals(timeouts.map((entry) => entry.data.key), ["slow", "stuck"]);
+  assertEquals(timeouts[0].level, "warn");
+});
+
+Deno.test("fetchData - synchronous strategies over their timeout time out", async () => {
+  const logs = [];
+  const block = (ms) => {
+    const end = performance.now() + ms;
+    while (performance.now() < end) {
+      // Like a SQLite query, nothing else runs meanwhile
+    }
+  };
+  const dataStrategies = {
+    blocking: (config) => {
+      block(config.ms);
+      return config.ms;
+    },
+  };
+
+  const result = await fetchData({
+    yamlContent: `
+fetch_data:
+  - { type: blocking, key: slow, ms: 100, timeout: 20 }
+  - { type: blocking, key: fast, ms: 0, timeout: 1000 }
+`,
+    params: {},
+    query: {},
+    dataStrategies,
+    log: (entry) => logs.push(entry),
+  });
+
+  assertFalse("slow" in result);
+  assertEquals(result.fast, 0);
+  assertEquals(result.errors.slow.timed_out, true);
+  assertEquals(
+    logs.some((entry) => entry.message === "Strategy timed out: slow"),
+    true,
+  );
+});
+
+Deno.test("fetchData - invalid timeout is ignored with a warning", async () => {
+  const logs = [];
+  const result = await fetchData({
+    yamlContent: "fetch_data:\n  type: test\n  key: data\n  timeout: soon\n",
+    params: { id: "1" },
+    query: {},
+    dataStrategies: mockDataStrategies,
+    log: (entry) => logs.push(entry),
+  });
+
+  assertExists(result.data);
+  assertEquals(
+    logs.some((entry) =>
+      entry.message === "Ignoring invalid fetch timeout: soon"
+    ),
+    true,
+  );
+});
+
+/**
+ * Run a test body with `DENO_ENV` set, restoring it afterwards
+ * @param {string} value - Environment name
+ * @param {() => Promise<void>} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withDenoEnv(value, fn) {
+  const previous = Deno.env.get("DENO_ENV");
+  Deno.env.set("DENO_ENV", value);
+  try {
+    await fn();
+  } finally {
+    if (previous === undefined) Deno.env.delete("DENO_ENV");
+    else Deno.env.set("DENO_ENV", previous);
+  }
+}
+
+/** Strategies for depends_on tests, `echo` returns its rendered config */
+const chainStrategies = {
+  echo: (config) => config.value,
+  fail: () => {
+    throw new Error("unavailable");
+  },
+};
+
+Deno.test("fetchData - depends_on entries use earlier results", async () => {
+  const order = [];
+  const dataStrategies = {
+    echo: async (config) => {
+      await sleep(config.delay ?? 0);
+      order.push(config.key);
+      return config.value;
+    },
+  };
+
+  const result = await fetchData({
+    yamlContent: `
+title: "Orders of {{params.id}}"
+fetch_data:
+  - type: echo
+    key: orders
+    depends_on: user
+    value: "/users/{{user.id}}/orders?page={{query.page}}"
+  - type: echo
+    key: user
+    delay: 20
+    value:
+      id: "{{params.id}}"
+      name: Ada
+`,
+    params: { id: "7" },
+    query: { page: "2" },
+    dataStrategies,
+    log: () => {},
+  });
+
+  assertEquals(result.title, "Orders of 7");
+  assertEquals(result.user, { id: "7", name: "Ada" });
+  assertEquals(result.orders, "/users/7/orders?page=2");
+  assertEquals(order, ["user", "orders"]);
+});
+
+Deno.test("fetchData - depends_on cycles are reported", async () => {
+  const logs = [];
+  const result = await fetchData({
+    yamlContent: `
+fetch_data:
+  - { type: echo, key: a, depends_on: b, value: A }
+  - { type: echo, key: b, depends_on: [a], value: B }
+  - { type: echo, key: c, value: C }
+  - { type: echo, key: d, depends_on: a, value: D }
+`,
+    params: {},
+    query: {},
+    dataStrategies: chainStrategies,
+    log: (entry) => logs.push(entry),
+  });
+
+  assertEquals(result.c, "C");
+  assertFalse("a" in result);
+  assertFalse("b" in result);
+  assertFalse("d" in result);
+
+  const error = logs.find((entry) => entry.message.startsWith("Circular"));
+  assertEquals(error.level, "error");
+  assertEquals(error.message, "Circular depends_on in fetch_data: a -> b -> a");
+});
+
+Deno.test("fetchData - depends_on skips entries without dependency result", async () => {
+  const logs = [];
+  let result;
+  await withDenoEnv("development", async () => {
+    result = await fetchData({
+      yamlContent: `
+fetch_data:
+  - { type: fail, key: user }
+  - { type: echo, key: orders, depends_on: user, value: "{{user.id}}" }
+  - { type: echo, key: typo, depends_on: usr, value: x }
+  - { type: echo, key: ok, depends_on: [], value: fine }
+`,
+      params: {},
+      query: {},
+      dataStrategies: chainStrategies,
+      log: (entry) => logs.push(entry),
+    });
+  });
+
+  assertEquals(result.ok, "fine");
+  assertEquals(result.errors, {
+    user: { type: "fail", message: "unavailable", timed_out: false },
+    orders: { type: "echo", message: "No result for user", timed_out: false },
+    typo: {
+      type: "echo",
+      message: "Unknown depends_on in fetch_data entry typo: usr",
+      timed_out: false,
+    },
+  });
+  assertFalse("user" in result);
+  assertExists(
+    logs.find((entry) =>
+      entry.message === "Skipping fetch_data entry orders: no result for user"
+    ),
+  );
+  assertExists(
+    logs.find((entry) =>
+      entry.message === "Unknown depends_on in fetch_data entry typo: usr"
+    ),
+  );
+});
+
+Deno.test("fetchData - cache option reuses results", async () => {
+  purgeDataCache();
+  const logs = [];
+  let calls = 0;
+  const dataStrategies = {
+    count: (config) => ({ id: config.id, calls: ++calls }),
+  };
+  const options = (id) => ({
+    yamlContent: `
+fetch_data:
+  type: count
+  key: user
+  id: "{{params.id}}"
+  cache: { ttl: 60 }
+`,
+    params: { id },
+    query: {},
+    dataStrategies,
+    log: (entry) => logs.push(entry),
+  });
+
+  assertEquals((await fetchData(options("1"))).user, { id: "1", calls: 1 });
+  assertEquals((await fetchData(options("1"))).user, { id: "1", calls: 1 });
+  // The key comes from the rendered config
+  assertEquals((await fetchData(options("2"))).user, { id: "2", calls: 2 });
+  assertExists(
+    logs.find((entry) => entry.message === "Strategy served from cache: user"),
+  );
+
+  assertEquals(purgeDataCache("user:"), 2);
+  assertEquals((await fetchData(options("1"))).user, { id: "1", calls: 3 });
+  purgeDataCache();
+});
+
+Deno.test("fetchData - on_error default and ignore list failures", async () => {
+  const logs = [];
+  let result;
+  await withDenoEnv("development", async () => {
+    result = await fetchData({
+      yamlContent: `
+fetch_data:
+  - { type: fail, key: user, default: { name: Guest } }
+  - { type: fail, key: orders, on_error: ignore, default: [] }
+  - { type: echo, key: ok, value: fine }
+  - { type: fail, key: odd, on_error: retry }
+  - { type: missing, key: unknown }
+`,
+      params: {},
+      query: {},
+      dataStrategies: chainStrategies,
+      log: (entry) => logs.push(entry),
+    });
+  });
+
+  assertEquals(result.user, { name: "Guest" });
+  assertFalse("orders" in result);
+  assertEquals(result.ok, "fine");
+  assertEquals(Object.keys(result.errors), [
+    "user",
+    "orders",
+    "odd",
+    "unknown",
+  ]);
+  assertEquals(result.errors.user, {
+    type: "fail",
+    message: "unavailable",
+    timed_out: false,
+  });
+  assertEquals(
+    result.errors.unknown.message,
+    "Unknown fetch strategy: missing",
+  );
+  assertExists(
+    logs.find((entry) => entry.message === "Ignoring invalid on_error: retry"),
+  );
+
+  const clean = await fetchData({
+    yamlContent: "fetch_data:\n  type: echo\n  key: ok\n  value: fine\n",
+    params: {},
+    query: {},
+    dataStrategies: chainStrategies,
+    log: () => {},
+  });
+  assertFalse("errors" in clean);
+});
+
+Deno.test("fetchData - on_error fail throws DataFetchError", async () => {
+  const error = await assertRejects(
+    () =>
+      fetchData({
+        yamlContent: `
+fetch_data:
+  - { type: echo, key: ok, value: fine }
+  - { type: stuck, key: user, on_error: fail, timeout: 20 }
+`,
+        params: {},
+        query: {},
+        dataStrategies: {
+          ...chainStrategies,
+          stuck: () => new Promise(() => {}),
+        },
+        log: () => {},
+      }),
+    DataFetchError,
+    "Fetching user failed: Timed out after 20ms",
+  );
+  assertEquals(error.key, "user");
+  assertEquals(error.failure.timed_out, true);
+
+  // Entries depending on a failed required entry don't run either
+  let ran = false;
+  await assertRejects(
+    () =>
+      fetchData({
+        yamlContent: `
+fetch_data:
+  - { type: fail, key: user, on_error: fail }
+  - { type: track, key: orders, depends_on: user }
+`,
+        params: {},
+        query: {},
+        dataStrategies: { ...chainStrategies, track: () => (ran = true) },
+        log: () => {},
+      }),
+    DataFetchError,
+    "Fetching user failed: unavailable",
+  );
+  assertFalse(ran);
+});
+
+Deno.test("fetchData - error messages stay out of the data in production", async () => {
+  let result;
+  await withDenoEnv("production", async () => {
+    result = await fetchData({
+      yamlContent: `
+fetch_data:
+  - { type: fail, key: user }
+  - { type: missing, key: unknown }
+`,
+      params: {},
+      query: {},
+      dataStrategies: chainStrategies,
+      log: () => {},
+    });
+  });
+
+  assertEquals(result.errors, {
+    user: { type: "fail", timed_out: false },
+    unknown: { type: "missing", timed_out: false },
+  });
+});
+
+Deno.test("fetchData - transform reshapes results before storing them", async () => {
+  const dataStrategies = {
+    api: () => ({
+      items: [
+        { name: "b", score: 2 },
+        { name: "a", score: 9 },
+        { name: "c", score: 5 },
+      ],
+    }),
+  };
+
+  let result;
+  await withDenoEnv("development", async () => {
+    result = await fetchData({
+      yamlContent: `
+fetch_data:
+  - type: api
+    key: top
+    transform:
+      - select: items
+      - sort: { by: score, order: desc }
+      - limit: "{{query.count}}"
+      - map: { label: name }
+  - type: api
+    key: broken
+    transform:
+      - limit: 1
+`,
+      params: {},
+      query: { count: "2" },
+      dataStrategies,
+      log: () => {},
+    });
+  });
+
+  assertEquals(result.top, [{ label: "a" }, { label: "c" }]);
+  assertFalse("broken" in result);
+  assertEquals(
+    result.errors.broken.message,
+    "Transform step 1 (limit): limit needs a list",
+  );
+});
+
+Deno.test("fetchData - structured binding keeps query values inert", async () => {
+  const calls = [];
+  const dataStrategies = {
+    request: (config) => {
+      calls.push(config);
+      return { id: config.id };
+    },
+    db: () => {
+      throw new Error("db must not run");
+    },
+  };
+  const injected =
+    `7"\n  - type: db\n    key: users\n    sql: "DROP TABLE users`;
+
+  const result = await fetchData({
+    yamlContent: `
+binding: structured
+title: "Search for {{query.q}}"
+limit: "{{query.limit}}"
+fetch_data:
+  - type: request
+    key: user
+    id: "{{query.id}}"
+    url: "https://api/users?name={{query.q}}"
+  - type: request
+    key: friend
+    depends_on: [user]
+    id: "{{user.id}}"
+meta:
+  title: "{{user.id}}"
+`,
+    params: {},
+    query: { id: injected, q: "Tom & Jerry", limit: "5" },
+    dataStrategies,
+    log: mockLog,
+  });
+
+  assertEquals(calls.length, 2);
+  assertEquals(calls[0].id, injected);
+  assertEquals(calls[0].url, "https://api/users?name=Tom & Jerry");
+  assertEquals(result.title, "Search for Tom & Jerry");
+  assertEquals(result.limit, "5");
+  assertEquals(result.friend, { id: injected });
+  assertEquals(result.meta, { title: injected });
+  assertFalse("users" in result);
+  assertFalse("binding" in result);
+});
+
+Deno.test("fetchData - structured binding keeps param types", async () => {
+  const result = await fetchData({
+    yamlContent: `
+binding: structured
+fetch_data:
+  type: echo
+  key: page
+  number: "{{params.page}}"
+  missing: "{{params.missing}}"
+`,
+    params: { page: 3 },
+    query: {},
+    dataStrategies: { echo: (config) => config },
+    log: mockLog,
+  });
+
+  assertEquals(result.page.number, 3);
+  assertEquals(result.page.missing, null);
+});
@@ -1,15 +1,24 @@
+import { getRouteManifest, matchRoute } from "./route_manifest.js";
+import { resolvePageFile, splitSafePath } from "./safe_path.js";
+import { splitFrontMatter } from "./markdown.js";
+
 /**
  * @typedef {Object} PageResult
  * @property {boolean} found - Whether the page was found
- * @property {string} [pageContent] - Content of index.html if found
- * @property {string} [yamlContent] - Content of get.yaml if found
- * @property {Record<string,string>} [params] - Path params
+ * @property {string} [pageContent] - Content of index.html, or the body of
+ *   index.md, if found
+ * @property {string} [yamlContent] - Front matter of index.md, or else content
+ *   of get.yaml, if found
+ * @property {'html'|'markdown'} [format] - Page format
+ * @property {import("./route_manifest.js").RouteMatch['params']} [params] - Path params
+ * @property {string|false} [layout] - Directory default layout, if any
  */
 
 /**
  * @typedef {Object} PageMatch
- * @property {string} pagePath - Path to the index.html file
- * @property {Record<string, string>} params - Extracted URL parameters
+ * @property {string} pagePath - Path to the index.html or index.md file
+ * @property {import("./route_manifest.js").RouteMatch['params']} params - Extracted URL parameters
+ * @property {import("./route_manifest.js").Route} route - Matched route
  */
 
 /**
@@ -18,63 +27,19 @@
  * @returns {Promise<PageMatch|null>} Page match with parameters or null
  */
 async function findPageWithParams(path) {
-  const pathSegments = path.split("/").filter(Boolean);
+  // Encoded or double-encoded traversal attempts never reach the route table
+  const segments = splitSafePath(path);
+  if (!segments) return null;
 
-  // Try exact match first
-  const exactPath = `./pages/${path}/index.html`;
-  try {
-    await Deno.stat(exactPath);
-    return { pagePath: exactPath, params: {} };
-  } catch {
-    // Continue to parameter matching
-  }
-
-  // Recursively search for parameterized paths
-  async function searchPath(segments, currentPath = "./pages", params = {}) {
-    if (segments.length === 0) {
-      const indexPath = `${currentPath}/index.html`;
-      try {
-        await Deno.stat(indexPath);
-        return { pagePath: indexPath, params };
-      } catch {
-        return null;
-      }
-    }
-
-    const [segment, ...remainingSegments] = segments;
-
-    try {
-      const entries = await Deno.readDir(currentPath);
-      for await (const entry of entries) {
-        if (!entry.isDirectory) continue;
-
-        if (entry.name === segment) {
-          // Exact match
-          const result = await searchPath(
-            remainingSegments,
-            `${currentPath}/${segment}`,
-            params,
-          );
-          if (result) return result;
-        } else if (entry.name.startsWith("[") && entry.name.endsWith("]")) {
-          // Parameter match
-          const paramName = entry.name.slice(1, -1);
-          const result = await searchPath(
-            remainingSegments,
-            `${currentPath}/${entry.name}`,
-            { ...params, [paramName]: segment },
-          );
-          if (result) return result;
-        }
-      }
-    } catch {
-      // Directory doesn't exist
-    }
+  const manifest = await getRouteManifest();
+  const match = matchRoute(manifest, segments.join("/"));
+  if (!match) return null;
 
-    return null;
-  }
-
-  return await searchPath(pathSegments);
+  return {
+    pagePath: match.route.pagePath,
+    params: match.params,
+    route: match.route,
+  };
 }
 
 /**
@@ -102,30 +67,79 @@ export async function fetchPage(path, log) {
     return { found: false };
   }
 
-  const { pagePath, params } = match;
+  const { pagePath, params, route } = match;
   log({
     level: "info",
     message: `Found page with parameters`,
     data: { pagePath, params },
   });
 
+  return await loadPage(route, params, log);
+}
+
+/**
+ * Fetch the error page for a status code
+ * @param {number} status - HTTP status code
+ * @param {Function} log - Logging function
+ * @returns {Promise<PageResult>} Page result with content
+ */
+export async function fetchErrorPage(status, log) {
+  const { errorPages } = await getRouteManifest();
+
+  // Server errors without a dedicated page share the _500 page
+  const route = errorPages[status] ?? (status >= 500 ? errorPages[500] : null);
+  if (!route) {
+    log({
+      level: "info",
+      message: `No error page for status: ${status}`,
+      data: { status },
+    });
+    return { found: false };
+  }
+
+  return await loadPage(route, {}, log);
+}
+
+/**
+ * Load page content and YAML data for a route
+ * @param {import("./route_manifest.js").Route} route - Route to load
+ * @param {import("./route_manifest.js").RouteMatch['params']} params - Path params
+ * @param {Function} log - Logging function
+ * @returns {Promise<PageResult>} Page result with content
+ */
+async function loadPage(route, params, log) {
+  const { pagePath } = route;
+
   try {
     // Load page content
-    const pageContent = await Deno.readTextFile(pagePath);
+    let pageContent = await Deno.readTextFile(pagePath);
     log({
       level: "info",
       message: `Loaded page content`,
-      data: { contentLength: pageContent.length },
+      data: { contentLength: pageContent.length, format: route.format },
     });
 
-    // Check for get.yaml file
+    // Front matter of a Markdown page takes the place of get.yaml
     let yamlContent = null;
-    try {
-      const pageDir = pagePath.replace("/index.html", "");
-      const yamlPath = `${pageDir}/get.yaml`;
+    if (route.format === "markdown") {
+      const { frontMatter, body } = splitFrontMatter(pageContent);
+      pageContent = body;
+      yamlContent = frontMatter;
+      if (frontMatter !== null) {
+        log({
+          level: "info",
+          message: `Found front matter`,
+          data: { pagePath },
+        });
+      }
+    }
+
+    // Load get.yaml file if the route has one and no front matter
+    if (yamlContent === null && route.hasGetYaml) {
+      const yamlPath = resolvePageFile(pagePath, "get.yaml");
       yamlContent = await Deno.readTextFile(yamlPath);
       log({ level: "info", message: `Found YAML data`, data: { yamlPath } });
-    } catch {
+    } else if (yamlContent === null) {
       log({ level: "info", message: "No YAML data found", data: {} });
     }
 
@@ -134,6 +148,8 @@ export async function fetchPage(path, log) {
       pageContent,
       yamlContent,
       params,
+      layout: route.layout,
+      format: route.format,
     };
   } catch (error) {
     log({
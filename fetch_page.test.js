@@ -119,3 +119,55 @@ Deno.test("fetchPage - error handling for invalid directory", async () => {
   // Should handle gracefully and return found: false
   assertEquals(result.found, false);
 });
+
+Deno.test("fetchPage - catch-all route match", async () => {
+  const result = await fetchPage("docs/guide/routing/params", mockLog);
+
+  assertEquals(result.found, true);
+  assertEquals(result.params.slug, ["guide", "routing", "params"]);
+  assertExists(result.yamlContent);
+});
+
+Deno.test("fetchPage - encoded traversal attempts are not found", async () => {
+  const attempts = [
+    "%2e%2e/%2e%2e/etc/passwd",
+    "..%2f..%2fserver.js",
+    "%252e%252e%252fserver.js",
+    "test/%2e%2e/x/y",
+  ];
+
+  for (const path of attempts) {
+    const result = await fetchPage(path, mockLog);
+    assertEquals(result.found, false, path);
+  }
+});
+
+Deno.test("fetchPage - params are percent-decoded", async () => {
+  const result = await fetchPage("hello%20world", mockLog);
+
+  assertEquals(result.found, true);
+  assertEquals(result.params.userId, "hello world");
+});
+
+Deno.test("fetchPage - typed params are coerced", async () => {
+  const result = await fetchPage("fetched/7", mockLog);
+
+  assertEquals(result.found, true);
+  assertEquals(result.params.id, 7);
+});
+
+Deno.test("fetchPage - values failing a param constraint are not found", async () => {
+  const result = await fetchPage("fetched/abc", mockLog);
+
+  assertEquals(result.found, false);
+});
+
+Deno.test("fetchPage - Markdown page with front matter", async () => {
+  const result = await fetchPage("guide", mockLog);
+
+  assertEquals(result.found, true);
+  assertEquals(result.format, "markdown");
+  assertEquals(result.yamlContent.startsWith("title: Writing pages"), true);
+  assertEquals(result.pageContent.trimStart().startsWith("# {{title}}"), true);
+  assertFalse(result.pageContent.includes("---"));
+});
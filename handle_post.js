@@ -1,10 +1,16 @@
 import { parse } from "https://deno.land/std@0.207.0/yaml/parse.ts";
-import { Handlebars } from "./deps.ts";
+import { bindValues, usesStructuredBinding } from "./binding.js";
+import { createHandlebars, ensureHelpersLoaded } from "./helpers.js";
+import { compileTemplate } from "./template_cache.js";
 import { fetchPage, findPageWithParams } from "./fetch_page.js";
+import { renderErrorPage } from "./render_page.js";
+import { getLocales, resolveLocale } from "./i18n.js";
+import { resolvePageFile } from "./safe_path.js";
+import { applyTransforms } from "./transform.js";
 
 /**
  * @typedef {Object} RequestContext
- * @property {Record<string, string>} params - URL parameters
+ * @property {import("./route_manifest.js").RouteMatch['params']} params - URL parameters
  * @property {Record<string, string>} query - Query parameters
  * @property {Record<string, any>} formData - POST form data
  */
@@ -12,7 +18,7 @@ import { fetchPage, findPageWithParams } from "./fetch_page.js";
 /**
  * @typedef {Object} PostConfig
  * @property {string} yamlContent - Raw YAML content
- * @property {Record<string, string>} params - URL parameters
+ * @property {import("./route_manifest.js").RouteMatch['params']} params - URL parameters
  * @property {Record<string, string>} query - Query parameters
  * @property {Record<string, any>} formData - POST form data
  * @property {Record<string, Function>} dataStrategies - Available data strategies
@@ -27,7 +33,7 @@ import { fetchPage, findPageWithParams } from "./fetch_page.js";
  */
 
 // Initialize Handlebars for this module
-const handlebars = Handlebars.create();
+const handlebars = createHandlebars();
 
 /**
  * Execute individual send strategy using strategy map
@@ -51,7 +57,10 @@ async function executeSendStrategy(config, context, dataStrategies, log) {
   }
 
   try {
-    return await strategy(config, context);
+    const result = await strategy(config, context);
+    return config.transform
+      ? applyTransforms(result, config.transform)
+      : result;
   } catch (error) {
     log({
       level: "error",
@@ -125,19 +134,25 @@ export async function handlePost(
 
   try {
     // Process YAML with template variables (includes formData)
-    const processedYaml = handlebars.compile(yamlContent)({
-      params,
-      query,
-      formData,
-    });
-    log({
-      level: "info",
-      message: `Processed POST YAML template`,
-      data: { processedLength: processedYaml.length },
-    });
+    await ensureHelpersLoaded(log);
+    const context = { params, query, formData };
+    let yamlData;
+    if (usesStructuredBinding(yamlContent)) {
+      // Parsed first, so form values can't add keys or entries
+      // deno-lint-ignore no-unused-vars
+      const { binding, ...fields } = parse(yamlContent) ?? {};
+      yamlData = bindValues(fields, context);
+    } else {
+      const processedYaml = compileTemplate(handlebars, yamlContent)(context);
+      log({
+        level: "info",
+        message: `Processed POST YAML template`,
+        data: { processedLength: processedYaml.length },
+      });
 
-    // Parse processed YAML
-    const yamlData = parse(processedYaml);
+      // Parse processed YAML
+      yamlData = parse(processedYaml);
+    }
     log({
       level: "info",
       message: `Parsed POST YAML data`,
@@ -151,7 +166,6 @@ export async function handlePost(
         message: `Sending data using strategies`,
         data: {},
       });
-      const context = { params, query, formData };
       const sentData = await sendDataStrategies(
         yamlData.send_data,
         context,
@@ -202,9 +216,7 @@ export async function handlePost(
 export async function isPostAllowed(pagePath, requestPath) {
   // POST is only allowed if post.yaml exists in the same directory as index.html
   try {
-    const pageDir = pagePath.replace("/index.html", "");
-    const postYamlPath = `${pageDir}/post.yaml`;
-    await Deno.stat(postYamlPath);
+    await Deno.stat(resolvePageFile(pagePath, "post.yaml"));
     return true;
   } catch {
     return false;
@@ -217,10 +229,20 @@ export async function isPostAllowed(pagePath, requestPath) {
  * @returns {Promise<string|null>} YAML content or null
  */
 export async function loadPostYaml(pagePath) {
+  return await loadMethodYaml(pagePath, "POST");
+}
+
+/**
+ * Load the YAML handler for a request method (post.yaml, put.yaml, ...)
+ * @param {string} pagePath - Path to the index.html file
+ * @param {string} method - HTTP method
+ * @returns {Promise<string|null>} YAML content or null
+ */
+export async function loadMethodYaml(pagePath, method) {
   try {
-    const pageDir = pagePath.replace("/index.html", "");
-    const postYamlPath = `${pageDir}/post.yaml`;
-    return await Deno.readTextFile(postYamlPath);
+    return await Deno.readTextFile(
+      resolvePageFile(pagePath, `${method.toLowerCase()}.yaml`),
+    );
   } catch {
     return null;
   }
@@ -278,75 +300,114 @@ async function parseFormData(req) {
  * @returns {Promise<Response>} HTTP response
  */
 export async function handlePostRequest(path, req, log, dataStrategies) {
+  return await handleMethodRequest(path, req, log, dataStrategies);
+}
+
+/**
+ * Helper function to handle POST, PUT, PATCH and DELETE requests
+ *
+ * The request method picks the YAML handler next to index.html (post.yaml,
+ * put.yaml, patch.yaml or delete.yaml). Methods without a handler get a 405
+ * with an `Allow` header listing the methods the page supports.
+ *
+ * @param {string} path - URL path without leading slash
+ * @param {Request} req - HTTP request
+ * @param {Function} log - Logging function
+ * @param {Record<string, Function>} dataStrategies - Data strategies
+ * @returns {Promise<Response>} HTTP response
+ */
+export async function handleMethodRequest(path, req, log, dataStrategies) {
+  const method = req.method.toUpperCase();
   log({
     level: "info",
-    message: `Handling POST request for path: ${path}`,
-    data: { path },
+    message: `Handling ${method} request for path: ${path}`,
+    data: { path, method },
   });
 
-  // Find matching page first to get pagePath
-  const match = await findPageWithParams(path);
+  // Find matching page first to get pagePath, forms on `/fr/...` pages post
+  // back to the localized URL
+  const { path: routePath } = resolveLocale(path, req, await getLocales(log));
+  const match = await findPageWithParams(routePath);
   if (!match) {
     log({
       level: "warn",
-      message: `Page not found for POST: ${path}`,
+      message: `Page not found for ${method}: ${path}`,
       data: { path },
     });
-    return new Response("Page not found", { status: 404 });
+    return await renderErrorPage({ status: 404, path, log, dataStrategies });
   }
 
-  const { pagePath, params = {} } = match;
+  const { pagePath, params = {}, route } = match;
 
-  // Check if POST is allowed for this endpoint
-  const postAllowed = await isPostAllowed(pagePath, path);
+  // Check if the method is allowed for this endpoint
+  const methodAllowed = route.methods.includes(method);
   log({
     level: "info",
-    message: `POST allowed check`,
-    data: { pagePath, path, postAllowed },
+    message: `${method} allowed check`,
+    data: { pagePath, path, methodAllowed },
   });
 
-  if (!postAllowed) {
+  if (!methodAllowed) {
     log({
       level: "warn",
-      message: `POST not allowed for path: ${path}`,
+      message: `${method} not allowed for path: ${path}`,
       data: { pagePath, path },
     });
-    return new Response("Method not allowed", { status: 405 });
+    return new Response("Method not allowed", {
+      status: 405,
+      headers: { "allow": ["GET", "HEAD", ...route.methods].join(", ") },
+    });
   }
 
-  // Parse form data
-  const formData = await parseFormData(req);
-  log({
-    level: "info",
-    message: `Parsed form data`,
-    data: { formDataKeys: Object.keys(formData) },
-  });
+  try {
+    // Parse form data
+    const formData = await parseFormData(req);
+    log({
+      level: "info",
+      message: `Parsed form data`,
+      data: { formDataKeys: Object.keys(formData) },
+    });
 
-  // Load POST YAML configuration
-  const postYamlContent = await loadPostYaml(pagePath);
-
-  // Process POST request
-  let data;
-  if (postYamlContent) {
-    data = await handlePost({
-      yamlContent: postYamlContent,
-      params,
-      query: {},
-      formData,
-      dataStrategies,
-      log,
+    // Load the method's YAML configuration
+    const yamlContent = await loadMethodYaml(pagePath, method);
+
+    // Process request
+    let data;
+    if (yamlContent) {
+      data = await handlePost({
+        yamlContent,
+        params,
+        query: {},
+        formData,
+        dataStrategies,
+        log,
+      });
+    } else {
+      log({
+        level: "warn",
+        message:
+          `No ${method.toLowerCase()}.yaml found, but ${method} was allowed`,
+        data: {},
+      });
+      data = { params, query: {}, formData };
+    }
+
+    // Return JSON response for write requests
+    return new Response(JSON.stringify(data), {
+      headers: { "content-type": "application/json" },
     });
-  } else {
+  } catch (error) {
     log({
-      level: "warn",
-      message: "No post.yaml found, but POST was allowed",
-      data: {},
+      level: "error",
+      message: `Error handling ${method} request`,
+      data: { error: error.message },
+    });
+    return await renderErrorPage({
+      status: 500,
+      path,
+      error,
+      log,
+      dataStrategies,
     });
-    data = { params, query: {}, formData };
   }
-
-  // Return JSON response for POST requests
-  return new Response(JSON.stringify(data), {
-    headers: { "content-type": "application/json" },
-  });
 }
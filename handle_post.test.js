@@ -332,6 +332,33 @@ form: {{formData.missing}}
   // name and form might be empty or contain error text depending on Handlebars behavior
 });
 
+Deno.test("handlePost - send config with transform", async () => {
+  const yamlContent = `
+send_data:
+  type: create
+  key: created
+  transform:
+    - select: record
+    - pick: [id, name]
+`;
+
+  const result = await handlePost({
+    yamlContent,
+    params: {},
+    query: {},
+    formData: { name: "Ada" },
+    dataStrategies: {
+      create: (_config, context) => ({
+        status: 201,
+        record: { id: 7, name: context.formData.name, token: "secret" },
+      }),
+    },
+    log: mockLog,
+  });
+
+  assertEquals(result.created, { id: 7, name: "Ada" });
+});
+
 Deno.test("isPostAllowed - with post.yaml", async () => {
   // Create a temporary post.yaml file for testing
   const testDir = "./test_post_allowed";
@@ -398,3 +425,60 @@ Deno.test("loadPostYaml - non-existent file", async () => {
     await Deno.remove(testDir, { recursive: true });
   }
 });
+
+Deno.test("handlePost - helpers in YAML templates", async () => {
+  const result = await handlePost({
+    yamlContent: `
+title: "{{truncate formData.title 8 suffix="..."}}"
+publishedOn: "{{formatDate formData.publishedAt}}"
+payload: {{json formData}}
+`,
+    params: {},
+    query: {},
+    formData: { title: "A long title", publishedAt: "2024-03-05T10:00:00Z" },
+    dataStrategies: {},
+    log: mockLog,
+  });
+
+  assertEquals(result.title, "A lon...");
+  assertEquals(result.publishedOn, "2024-03-05");
+  assertEquals(result.payload, {
+    title: "A long title",
+    publishedAt: "2024-03-05T10:00:00Z",
+  });
+});
+
+Deno.test("handlePost - structured binding keeps form values inert", async () => {
+  const sent = [];
+  const injected =
+    `x"\nsend_data:\n  - type: email\n    to: attacker@example.com`;
+
+  const result = await handlePost({
+    yamlContent: `
+binding: structured
+message: "Thanks, {{formData.name}}"
+send_data:
+  type: store
+  key: saved
+  name: "{{formData.name}}"
+  tags: "{{formData.tags}}"
+`,
+    params: {},
+    query: {},
+    formData: { name: injected, tags: ["a", "b"] },
+    dataStrategies: {
+      store: (config) => {
+        sent.push(config);
+        return "ok";
+      },
+    },
+    log: mockLog,
+  });
+
+  assertEquals(sent, [
+    { type: "store", key: "saved", name: injected, tags: ["a", "b"] },
+  ]);
+  assertEquals(result.message, `Thanks, ${injected}`);
+  assertEquals(result.saved, "ok");
+  assertFalse("binding" in result);
+});
@@ -3,7 +3,7 @@ import {
   assertEquals,
   assertExists,
 } from "https://deno.land/std@0.207.0/assert/mod.ts";
-import { handlePostRequest } from "./handle_post.js";
+import { handleMethodRequest, handlePostRequest } from "./handle_post.js";
 import { requestStrategy } from "./request_strategy.js";
 import { sqliteStrategy } from "./sqlite_strategy.js";
 
@@ -45,7 +45,9 @@ Deno.test({
     );
 
     assertEquals(response.status, 404);
-    assertEquals(await response.text(), "Page not found");
+    assertEquals(response.headers.get("content-type"), "text/html");
+    const html = await response.text();
+    assertEquals(html.includes("<code>/nonexistent/deep/path</code>"), true);
 
     const logs = getLogs();
     const warnLogs = logs.filter((log) => log.level === "warn");
@@ -77,6 +79,7 @@ Deno.test({
     );
 
     assertEquals(response.status, 405);
+    assertEquals(response.headers.get("allow"), "GET, HEAD");
     assertEquals(await response.text(), "Method not allowed");
 
     const logs = getLogs();
@@ -332,3 +335,112 @@ Deno.test({
     assertExists(formDataLog.data.formDataKeys);
   },
 });
+
+Deno.test({
+  name: "handleMethodRequest - PUT runs put.yaml",
+  async fn() {
+    const { log } = mockLog();
+
+    const request = new Request("http://localhost:8000/notes/42", {
+      method: "PUT",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ title: "Groceries", body: "Milk" }),
+    });
+
+    const response = await handleMethodRequest(
+      "notes/42",
+      request,
+      log,
+      mockDataStrategies,
+    );
+
+    assertEquals(response.status, 200);
+    assertEquals(response.headers.get("content-type"), "application/json");
+
+    const responseData = await response.json();
+    assertEquals(responseData.status, "updated");
+    assertEquals(responseData.note, {
+      id: "42",
+      title: "Groceries",
+      body: "Milk",
+    });
+  },
+});
+
+Deno.test({
+  name: "handleMethodRequest - DELETE runs delete.yaml without a body",
+  async fn() {
+    const { log, getLogs } = mockLog();
+
+    const request = new Request("http://localhost:8000/notes/42", {
+      method: "DELETE",
+    });
+
+    const response = await handleMethodRequest(
+      "notes/42",
+      request,
+      log,
+      mockDataStrategies,
+    );
+
+    assertEquals(response.status, 200);
+
+    const responseData = await response.json();
+    assertEquals(responseData.status, "deleted");
+    assertEquals(responseData.note.id, "42");
+    assertEquals(responseData.formData, {});
+
+    const logMessages = getLogs().map((log) => log.message);
+    assertExists(
+      logMessages.find((msg) => msg.includes("Handling DELETE request")),
+    );
+  },
+});
+
+Deno.test({
+  name: "handleMethodRequest - method without handler returns 405 with Allow",
+  async fn() {
+    const { log, getLogs } = mockLog();
+
+    for (const method of ["PATCH", "POST", "OPTIONS"]) {
+      const request = new Request("http://localhost:8000/notes/42", {
+        method,
+      });
+
+      const response = await handleMethodRequest(
+        "notes/42",
+        request,
+        log,
+        mockDataStrategies,
+      );
+
+      assertEquals(response.status, 405);
+      assertEquals(response.headers.get("allow"), "GET, HEAD, PUT, DELETE");
+      await response.body.cancel();
+    }
+
+    const warnLogs = getLogs().filter((log) => log.level === "warn");
+    assertEquals(warnLogs[0].message, "PATCH not allowed for path: notes/42");
+  },
+});
+
+Deno.test({
+  name: "handleMethodRequest - DELETE on unknown page",
+  async fn() {
+    const { log } = mockLog();
+
+    const request = new Request("http://localhost:8000/missing/deep/path", {
+      method: "DELETE",
+    });
+
+    const response = await handleMethodRequest(
+      "missing/deep/path",
+      request,
+      log,
+      mockDataStrategies,
+    );
+
+    assertEquals(response.status, 404);
+    await response.body.cancel();
+  },
+});
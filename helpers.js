@@ -0,0 +1,250 @@
+import { Handlebars, resolve, toFileUrl } from "./deps.ts";
+import { translate } from "./i18n.js";
+
+const HELPERS_DIR = "./templates/helpers";
+
+// Helper names have to be usable as `{{name ...}}` in a template
+const HELPER_NAME = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Drop the Handlebars options object passed as the last argument
+ * @param {any[]} args - Helper arguments
+ * @returns {any[]} Arguments without options
+ */
+function withoutOptions(args) {
+  return args.slice(0, -1);
+}
+
+/**
+ * Format a date with `YYYY`, `MM`, `DD`, `HH`, `mm` and `ss` tokens (UTC)
+ * @param {Date|string|number} value - Date, ISO string or timestamp
+ * @param {string} format - Format string
+ * @returns {string} Formatted date or an empty string for invalid dates
+ */
+function formatDate(value, format) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === undefined || value === null || isNaN(date.getTime())) return "";
+
+  const pad = (number) => String(number).padStart(2, "0");
+  const tokens = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+}
+
+/**
+ * Helpers registered on every Handlebars instance
+ * @type {Record<string, Function>}
+ */
+export const builtinHelpers = {
+  // Comparisons, mostly used as subexpressions: {{#if (eq status "ok")}}
+  eq: (...args) => {
+    const [a, b] = withoutOptions(args);
+    return a === b;
+  },
+  ne: (...args) => {
+    const [a, b] = withoutOptions(args);
+    return a !== b;
+  },
+  gt: (...args) => {
+    const [a, b] = withoutOptions(args);
+    return a > b;
+  },
+  gte: (...args) => {
+    const [a, b] = withoutOptions(args);
+    return a >= b;
+  },
+  lt: (...args) => {
+    const [a, b] = withoutOptions(args);
+    return a < b;
+  },
+  lte: (...args) => {
+    const [a, b] = withoutOptions(args);
+    return a <= b;
+  },
+
+  // {{formatDate createdAt}} or {{formatDate createdAt "DD/MM/YYYY HH:mm"}}
+  formatDate: (...args) => {
+    const [value, format] = withoutOptions(args);
+    return formatDate(
+      value,
+      typeof format === "string" ? format : "YYYY-MM-DD",
+    );
+  },
+
+  // JSON that is safe inside a <script> tag and inside YAML
+  json: (...args) => {
+    const [value] = withoutOptions(args);
+    const { indent } = args.at(-1).hash ?? {};
+    const json = JSON.stringify(value ?? null, null, indent) ?? "null";
+    return new Handlebars.SafeString(json.replace(/</g, "\\u003c"));
+  },
+
+  // {{default user.name "Anonymous"}}: null, undefined and "" get the fallback
+  default: (...args) => {
+    const [value, fallback] = withoutOptions(args);
+    return value === undefined || value === null || value === ""
+      ? fallback
+      : value;
+  },
+
+  // {{urlencode query.q}}: safe in any URL part, so it isn't HTML-escaped
+  urlencode: (...args) => {
+    const [value] = withoutOptions(args);
+    const encoded = encodeURIComponent(String(value ?? "")).replace(
+      /['()*!]/g,
+      (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+    );
+    return new Handlebars.SafeString(encoded);
+  },
+
+  // {{truncate description 80}}, `suffix="..."` replaces the default ellipsis
+  truncate: (...args) => {
+    const [value, length] = withoutOptions(args);
+    const { suffix = "…" } = args.at(-1).hash ?? {};
+    const text = String(value ?? "");
+    if (typeof length !== "number" || text.length <= length) return text;
+    return text.slice(0, Math.max(0, length - suffix.length)) + suffix;
+  },
+
+  // {{t "nav.home"}} or {{t "cart.items" count=n}}: translated into the page's
+  // `locale` (or `locale="de"`), `{name}` placeholders filled from the hash
+  t: (...args) => {
+    const [key] = withoutOptions(args);
+    const options = args.at(-1);
+    const { locale, ...values } = options.hash ?? {};
+    return translate(locale ?? options.data?.root?.locale, String(key), values);
+  },
+
+  // {{#fragment "results"}}...{{/fragment}} renders in place, and is captured
+  // into `@fragments` when a single fragment is requested (`?_fragment=`)
+  fragment: function (name, options) {
+    const html = options.fn(this);
+    const fragments = options.data?.fragments;
+    if (fragments instanceof Map && !fragments.has(name)) {
+      fragments.set(name, html);
+    }
+    return html;
+  },
+};
+
+/** @type {Set<object>} */
+const instances = new Set();
+
+/** @type {Record<string, Function>} */
+let projectHelpers = {};
+
+/** @type {Promise<void>|null} */
+let helpersLoaded = null;
+
+/**
+ * Create a Handlebars instance with the built-in and project helpers
+ *
+ * Every instance created here also receives project helpers loaded later.
+ *
+ * @returns {typeof Handlebars} Handlebars instance
+ */
+export function createHandlebars() {
+  const handlebars = Handlebars.create();
+  handlebars.registerHelper({ ...builtinHelpers, ...projectHelpers });
+  instances.add(handlebars);
+  return handlebars;
+}
+
+/**
+ * Import every `*.js` file of the helpers directory
+ *
+ * A default export is registered under the file name, named function exports
+ * under their own names. Files that fail to load are logged and skipped.
+ *
+ * @param {Function} log - Logging function
+ * @param {string} [dir] - Helpers directory
+ * @returns {Promise<Record<string, Function>>} Helpers by name
+ */
+async function importHelpers(log, dir) {
+  const files = [];
+  try {
+    for await (const entry of Deno.readDir(dir)) {
+      if (entry.isFile && entry.name.endsWith(".js")) files.push(entry.name);
+    }
+  } catch {
+    // No helpers directory
+    return {};
+  }
+
+  const helpers = {};
+  for (const file of files.sort()) {
+    const path = resolve(dir, file);
+    try {
+      // The mtime in the URL makes edited files load again after a reload
+      const { mtime } = await Deno.stat(path);
+      const url = `${toFileUrl(path).href}?v=${mtime?.getTime() ?? 0}`;
+      const module = await import(url);
+
+      for (const [exportName, helper] of Object.entries(module)) {
+        const name = exportName === "default"
+          ? file.slice(0, -".js".length)
+          : exportName;
+        if (typeof helper !== "function" || !HELPER_NAME.test(name)) {
+          log({
+            level: "warn",
+            message: `Skipping helper export ${exportName} in ${file}`,
+            data: { file, exportName },
+          });
+          continue;
+        }
+        helpers[name] = helper;
+      }
+    } catch (error) {
+      log({
+        level: "error",
+        message: `Failed to load helpers from ${file}: ${error.message}`,
+        data: { file, error: error.message },
+      });
+    }
+  }
+  return helpers;
+}
+
+/**
+ * Load project helpers from disk and register them on every instance
+ * @param {Function} log - Logging function
+ * @param {string} [dir] - Helpers directory
+ * @returns {Promise<void>}
+ */
+export function reloadHelpers(log, dir = HELPERS_DIR) {
+  helpersLoaded = (async () => {
+    const helpers = await importHelpers(log, dir);
+
+    for (const handlebars of instances) {
+      for (const name of Object.keys(projectHelpers)) {
+        handlebars.unregisterHelper(name);
+      }
+      // Built-ins come back when a project helper overriding them is removed
+      handlebars.registerHelper({ ...builtinHelpers, ...helpers });
+    }
+    projectHelpers = helpers;
+
+    log({
+      level: "info",
+      message: `Loaded project helpers`,
+      data: { helpers: Object.keys(helpers).join(", ") },
+    });
+  })();
+  return helpersLoaded;
+}
+
+/**
+ * Load project helpers on first use
+ * @param {Function} log - Logging function
+ * @returns {Promise<void>}
+ */
+export function ensureHelpersLoaded(log) {
+  helpersLoaded ??= reloadHelpers(log);
+  return helpersLoaded;
+}
@@ -0,0 +1,172 @@
+import {
+  assertEquals,
+  assertExists,
+} from "https://deno.land/std@0.207.0/assert/mod.ts";
+import {
+  createHandlebars,
+  ensureHelpersLoaded,
+  reloadHelpers,
+} from "./helpers.js";
+import { createTempFiles } from "./test_helpers.js";
+
+// Mock logging function
+const mockLog = () => {};
+
+/**
+ * Render a template with a fresh instance
+ * @param {string} source - Template source
+ * @param {Record<string, any>} [data] - Template data
+ * @returns {string} Rendered output
+ */
+function render(source, data = {}) {
+  return createHandlebars().compile(source)(data);
+}
+
+Deno.test("builtin helpers - comparisons", () => {
+  const source =
+    "{{#if (eq a 1)}}eq{{/if}} {{#if (ne a 2)}}ne{{/if}} {{#if (gt a 0)}}gt{{/if}}" +
+    " {{#if (gte a 1)}}gte{{/if}} {{#if (lt a 2)}}lt{{/if}} {{#if (lte a 0)}}lte{{/if}}";
+
+  assertEquals(render(source, { a: 1 }), "eq ne gt gte lt ");
+  assertEquals(render('{{#if (eq a "1")}}loose{{/if}}', { a: 1 }), "");
+});
+
+Deno.test("builtin helpers - formatDate", () => {
+  const date = "2024-03-05T14:07:09Z";
+
+  assertEquals(render("{{formatDate date}}", { date }), "2024-03-05");
+  assertEquals(
+    render('{{formatDate date "DD/MM/YYYY HH:mm:ss"}}', { date }),
+    "05/03/2024 14:07:09",
+  );
+  assertEquals(
+    render("{{formatDate date}}", { date: Date.UTC(2020, 0, 1) }),
+    "2020-01-01",
+  );
+  assertEquals(render("{{formatDate date}}", { date: "not a date" }), "");
+  assertEquals(render("{{formatDate missing}}"), "");
+});
+
+Deno.test("builtin helpers - json", () => {
+  assertEquals(
+    render("{{json value}}", { value: { a: [1, "x"] } }),
+    '{"a":[1,"x"]}',
+  );
+  assertEquals(render("{{json value indent=2}}", { value: [1] }), "[\n  1\n]");
+  assertEquals(render("{{json missing}}"), "null");
+  // Never closes a <script> tag early
+  assertEquals(
+    render("{{json value}}", { value: "</script>" }),
+    '"\\u003c/script>"',
+  );
+});
+
+Deno.test("builtin helpers - default, urlencode and truncate", () => {
+  assertEquals(render('{{default name "Anonymous"}}'), "Anonymous");
+  assertEquals(
+    render('{{default name "Anonymous"}}', { name: "" }),
+    "Anonymous",
+  );
+  assertEquals(render('{{default count "none"}}', { count: 0 }), "0");
+  assertEquals(render('{{default name "Anonymous"}}', { name: "Ada" }), "Ada");
+
+  assertEquals(render("{{urlencode q}}", { q: "a b&c/d" }), "a%20b%26c%2Fd");
+  assertEquals(render("{{urlencode missing}}"), "");
+  assertEquals(
+    render("{{urlencode q}}", { q: "O'Brien (*!)" }),
+    "O%27Brien%20%28%2A%21%29",
+  );
+
+  assertEquals(render("{{truncate text 5}}", { text: "Hello world" }), "Hell…");
+  assertEquals(
+    render('{{truncate text 8 suffix="..."}}', { text: "Hello world" }),
+    "Hello...",
+  );
+  assertEquals(render("{{truncate text 20}}", { text: "Short" }), "Short");
+});
+
+Deno.test("builtin helpers - fragment renders in place and is captured", () => {
+  const source =
+    '<ul>{{#fragment "list"}}{{#each items}}<li>{{this}}</li>{{/each}}{{/fragment}}</ul>';
+  const template = createHandlebars().compile(source);
+
+  assertEquals(
+    render(source, { items: [1, 2] }),
+    "<ul><li>1</li><li>2</li></ul>",
+  );
+
+  const fragments = new Map();
+  template({ items: [1, 2] }, { data: { fragments } });
+  assertEquals(fragments.get("list"), "<li>1</li><li>2</li>");
+});
+
+Deno.test("reloadHelpers - registers project helpers on every instance", async () => {
+  const existing = createHandlebars();
+  const dir = await createTempFiles({
+    "shout.js": "export default (text) => String(text).toUpperCase();",
+    "math.js":
+      "export const double = (n) => n * 2;\nexport const notAHelper = 42;",
+    "broken.js": "export default (",
+    "notes.txt": "ignored",
+  }, "helpers_");
+  const logCalls = [];
+
+  try {
+    await reloadHelpers((entry) => logCalls.push(entry), dir);
+
+    assertEquals(existing.compile("{{shout word}}")({ word: "hi" }), "HI");
+    assertEquals(render("{{double 21}}"), "42");
+
+    assertExists(
+      logCalls.find((call) =>
+        call.level === "warn" && call.data.exportName === "notAHelper"
+      ),
+    );
+    assertExists(
+      logCalls.find((call) =>
+        call.level === "error" && call.data.file === "broken.js"
+      ),
+    );
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+    await reloadHelpers(mockLog);
+  }
+});
+
+Deno.test("reloadHelpers - removed project helpers are unregistered", async () => {
+  const handlebars = createHandlebars();
+  const dir = await createTempFiles({
+    "eq.js": "export default () => 'overridden';",
+    "extra.js": "export default () => 'extra';",
+  }, "helpers_");
+
+  try {
+    await reloadHelpers(mockLog, dir);
+    assertEquals(
+      handlebars.compile("{{eq 1 1}} {{extra}}")({}),
+      "overridden extra",
+    );
+
+    await Deno.remove(`${dir}/eq.js`);
+    await Deno.remove(`${dir}/extra.js`);
+    await reloadHelpers(mockLog, dir);
+
+    // The built-in comes back, the project-only helper is gone
+    assertEquals(handlebars.compile("{{eq 1 1}}")({}), "true");
+    assertEquals(handlebars.helpers.extra, undefined);
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+    await reloadHelpers(mockLog);
+  }
+});
+
+Deno.test("ensureHelpersLoaded - loads templates/helpers", async () => {
+  await ensureHelpersLoaded(mockLog);
+
+  assertEquals(render('{{pluralize 1 "page"}}'), "1 page");
+  assertEquals(render('{{pluralize 3 "page"}}'), "3 pages");
+  assertEquals(
+    render('{{pluralize 2 "entry" plural="entries"}}'),
+    "2 entries",
+  );
+});
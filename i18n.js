@@ -0,0 +1,302 @@
+import { parse } from "./deps.ts";
+import { parseAccept } from "./content_negotiation.js";
+
+/**
+ * @typedef {Object} LocaleConfig
+ * @property {string[]} locales - Available locales, e.g. `["de", "en", "fr"]`
+ * @property {string|null} defaultLocale - Locale used when nothing else matches
+ * @property {Map<string, Record<string, any>>} catalogs - Messages by locale
+ */
+
+/**
+ * @typedef {Object} LocaleMatch
+ * @property {string|null} locale - Resolved locale, null without catalogs
+ * @property {string} path - URL path without the locale prefix
+ */
+
+const LOCALES_DIR = "./locales";
+
+// Cookie remembering a visitor's choice, e.g. `locale=fr`
+export const LOCALE_COOKIE = "locale";
+
+// Catalog file names are language tags: en.yaml, fr.yaml, pt-BR.yaml
+const LOCALE_NAME = /^[a-zA-Z]{2,3}(?:-[a-zA-Z0-9]{2,8})*$/;
+
+// `{name}` placeholders in messages
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/** @type {LocaleConfig} */
+const NO_LOCALES = { locales: [], defaultLocale: null, catalogs: new Map() };
+
+/** @type {Map<string, Promise<LocaleConfig>>} */
+const configs = new Map();
+
+// Catalogs of the project's locales/ directory, used by the `t` helper
+/** @type {LocaleConfig} */
+let current = NO_LOCALES;
+
+/**
+ * Default locale from `DEFAULT_LOCALE`
+ * @returns {string|undefined} Configured locale
+ */
+function configuredDefault() {
+  try {
+    return Deno.env.get("DEFAULT_LOCALE");
+  } catch {
+    // No --allow-env, fall back to `en` or the first catalog
+    return undefined;
+  }
+}
+
+/**
+ * Find an available locale, ignoring case
+ * @param {LocaleConfig} config - Locale configuration
+ * @param {string|undefined} tag - Language tag, e.g. `fr` or `pt-br`
+ * @returns {string|undefined} Matching locale
+ */
+function findLocale(config, tag) {
+  if (!tag) return undefined;
+  const lower = tag.toLowerCase();
+  return config.locales.find((locale) => locale.toLowerCase() === lower);
+}
+
+/**
+ * Load every `<locale>.yaml` message catalog of a directory
+ *
+ * A missing directory means the site isn't localized. Catalogs that fail to
+ * parse are logged and skipped.
+ *
+ * @param {Function} log - Logging function
+ * @param {string} [dir] - Locales directory
+ * @returns {Promise<LocaleConfig>} Locale configuration
+ */
+export async function loadLocales(log, dir = LOCALES_DIR) {
+  const catalogs = new Map();
+
+  const names = [];
+  try {
+    for await (const entry of Deno.readDir(dir)) {
+      if (entry.isFile && entry.name.endsWith(".yaml")) names.push(entry.name);
+    }
+  } catch (error) {
+    if (!(error instanceof Deno.errors.NotFound)) {
+      log({
+        level: "error",
+        message: `Failed to read ${dir}: ${error.message}`,
+        data: { dir },
+      });
+    }
+    return NO_LOCALES;
+  }
+
+  for (const name of names.sort()) {
+    const locale = name.slice(0, -".yaml".length);
+    if (!LOCALE_NAME.test(locale)) {
+      log({
+        level: "warn",
+        message: `Skipping catalog with invalid locale name: ${name}`,
+        data: { file: `${dir}/${name}` },
+      });
+      continue;
+    }
+
+    try {
+      const messages = parse(await Deno.readTextFile(`${dir}/${name}`)) ?? {};
+      if (typeof messages !== "object" || Array.isArray(messages)) {
+        throw new Error("expected a mapping of message keys");
+      }
+      catalogs.set(locale, messages);
+    } catch (error) {
+      log({
+        level: "error",
+        message: `Invalid catalog ${name}: ${error.message}`,
+        data: { file: `${dir}/${name}` },
+      });
+    }
+  }
+
+  const locales = [...catalogs.keys()];
+  const defaultLocale = findLocale({ locales }, configuredDefault()) ??
+    findLocale({ locales }, "en") ?? locales[0] ?? null;
+
+  return { locales, defaultLocale, catalogs };
+}
+
+/**
+ * Remember the loaded catalogs of the project's locales/ for the `t` helper
+ * @param {string} dir - Locales directory
+ * @param {Promise<LocaleConfig>} config - Loading configuration
+ * @returns {Promise<LocaleConfig>} The same configuration
+ */
+function track(dir, config) {
+  configs.set(dir, config);
+  if (dir === LOCALES_DIR) {
+    config.then((loaded) => {
+      if (configs.get(dir) === config) current = loaded;
+    });
+  }
+  return config;
+}
+
+/**
+ * Get the locale configuration, loading it on first use
+ * @param {Function} log - Logging function
+ * @param {string} [dir] - Locales directory
+ * @returns {Promise<LocaleConfig>} Locale configuration
+ */
+export function getLocales(log, dir = LOCALES_DIR) {
+  if (!configs.has(dir)) track(dir, loadLocales(log, dir));
+  return configs.get(dir);
+}
+
+/**
+ * Reload the message catalogs from disk
+ * @param {Function} log - Logging function
+ * @param {string} [dir] - Locales directory
+ * @returns {Promise<LocaleConfig>} Locale configuration
+ */
+export function reloadLocales(log, dir = LOCALES_DIR) {
+  return track(dir, loadLocales(log, dir));
+}
+
+/**
+ * Read the locale cookie of a request
+ * @param {Request|undefined} req - HTTP request
+ * @returns {string|undefined} Cookie value
+ */
+function cookieLocale(req) {
+  const cookies = req?.headers.get("cookie") ?? "";
+  for (const cookie of cookies.split(";")) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name !== LOCALE_COOKIE) continue;
+    try {
+      return decodeURIComponent(value.join("="));
+    } catch {
+      return undefined;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Pick the best available locale from an Accept-Language header
+ * @param {LocaleConfig} config - Locale configuration
+ * @param {string|null|undefined} header - Accept-Language header value
+ * @returns {string|undefined} Matching locale
+ */
+export function negotiateLocale(config, header) {
+  if (!header) return undefined;
+
+  for (const { type } of parseAccept(header)) {
+    // `fr-CA` falls back to `fr` when there is no dedicated catalog
+    const locale = findLocale(config, type) ??
+      findLocale(config, type.split("-")[0]);
+    if (locale) return locale;
+  }
+  return undefined;
+}
+
+/**
+ * Resolve the locale of a request
+ *
+ * A locale prefix in the URL (`/fr/about`) wins and is removed from the path,
+ * then the `locale` cookie, then `Accept-Language`, then the default locale.
+ *
+ * @param {string} path - URL path without leading slash
+ * @param {Request|undefined} req - HTTP request
+ * @param {LocaleConfig} config - Locale configuration
+ * @returns {LocaleMatch} Locale and the path to route
+ */
+export function resolveLocale(path, req, config) {
+  if (config.locales.length === 0) return { locale: null, path };
+
+  const [first, ...rest] = path.split("/");
+  const prefixed = findLocale(config, first);
+  if (prefixed) return { locale: prefixed, path: rest.join("/") };
+
+  const locale = findLocale(config, cookieLocale(req)) ??
+    negotiateLocale(config, req?.headers.get("accept-language")) ??
+    config.defaultLocale;
+  return { locale, path };
+}
+
+/**
+ * Look up a message by key, nested keys are separated by dots
+ * @param {Record<string, any>|undefined} catalog - Message catalog
+ * @param {string} key - Message key, e.g. `nav.home`
+ * @returns {any} Message or undefined
+ */
+function lookup(catalog, key) {
+  if (!catalog) return undefined;
+  if (key in catalog) return catalog[key];
+
+  let value = catalog;
+  for (const part of key.split(".")) {
+    if (!value || typeof value !== "object") return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Pick the plural form of a message for `values.count`
+ *
+ * Forms are named after `Intl.PluralRules` categories (`one`, `few`,
+ * `other`, ...); an explicit `zero` form wins for a count of 0.
+ *
+ * @param {Record<string, string>} forms - Message forms
+ * @param {string} locale - Locale the message belongs to
+ * @param {Record<string, any>} values - Interpolation values
+ * @returns {string|undefined} Selected form
+ */
+function pluralForm(forms, locale, values) {
+  const count = Number(values.count);
+  if (count === 0 && forms.zero !== undefined) return forms.zero;
+
+  let category = "other";
+  try {
+    category = new Intl.PluralRules(locale).select(count);
+  } catch {
+    // Unknown to Intl, only `other` applies
+  }
+  return forms[category] ?? forms.other;
+}
+
+/**
+ * Translate a message key
+ *
+ * Falls back from `fr-CA` to `fr`, then to the default locale, and finally
+ * to the key itself. `{name}` placeholders are replaced by `values`.
+ *
+ * @param {string|null|undefined} locale - Locale to translate into
+ * @param {string} key - Message key
+ * @param {Record<string, any>} [values] - Interpolation values and `count`
+ * @param {LocaleConfig} [config] - Locale configuration, the project's
+ *   catalogs by default
+ * @returns {string} Translated message
+ */
+export function translate(locale, key, values = {}, config = current) {
+  const candidates = [
+    findLocale(config, locale ?? undefined),
+    findLocale(config, locale?.split("-")[0]),
+    config.defaultLocale,
+  ];
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    let message = lookup(config.catalogs.get(candidate), key);
+    if (message && typeof message === "object") {
+      message = pluralForm(message, candidate, values);
+    }
+    if (typeof message === "number") message = String(message);
+    if (typeof message !== "string") continue;
+
+    return message.replace(
+      PLACEHOLDER,
+      (placeholder, name) =>
+        values[name] === undefined ? placeholder : String(values[name]),
+    );
+  }
+
+  return key;
+}
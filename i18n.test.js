@@ -0,0 +1,135 @@
+import { assertEquals } from "https://deno.land/std@0.207.0/assert/mod.ts";
+import {
+  loadLocales,
+  negotiateLocale,
+  resolveLocale,
+  translate,
+} from "./i18n.js";
+import { createTempFiles } from "./test_helpers.js";
+
+// Mock logging function
+const mockLog = () => {};
+
+const catalogs = {
+  "en.yaml": [
+    "greeting: Hello {name}",
+    "nav:",
+    "  home: Home",
+    "only_english: Fallback",
+    "items:",
+    "  zero: No items",
+    "  one: One item",
+    "  other: '{count} items'",
+  ].join("\n"),
+  "fr.yaml": [
+    "greeting: Bonjour {name}",
+    "nav:",
+    "  home: Accueil",
+    "items:",
+    "  one: '{count} article'",
+    "  other: '{count} articles'",
+  ].join("\n"),
+  "pt-BR.yaml": "nav:\n  home: Início",
+};
+
+Deno.test("loadLocales - reads catalogs and picks the default", async () => {
+  const logs = [];
+  const dir = await createTempFiles({
+    ...catalogs,
+    "broken.yaml": "a: b",
+    "de.yaml": "nav: [unclosed",
+  }, "locales_");
+
+  try {
+    const config = await loadLocales((entry) => logs.push(entry), dir);
+    assertEquals(config.locales, ["en", "fr", "pt-BR"]);
+    assertEquals(config.defaultLocale, "en");
+    assertEquals(config.catalogs.get("fr").nav.home, "Accueil");
+    // Invalid locale name and invalid YAML
+    assertEquals(logs.length, 2);
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+
+  assertEquals(await loadLocales(mockLog, `${dir}-missing`), {
+    locales: [],
+    defaultLocale: null,
+    catalogs: new Map(),
+  });
+});
+
+Deno.test("resolveLocale - prefix, cookie, Accept-Language, default", async () => {
+  const dir = await createTempFiles(catalogs, "locales_");
+  const config = await loadLocales(mockLog, dir);
+  await Deno.remove(dir, { recursive: true });
+  const req = (headers) => new Request("http://localhost/", { headers });
+
+  assertEquals(resolveLocale("fr/about", undefined, config), {
+    locale: "fr",
+    path: "about",
+  });
+  assertEquals(resolveLocale("pt-br", undefined, config), {
+    locale: "pt-BR",
+    path: "",
+  });
+  assertEquals(
+    resolveLocale("about", req({ cookie: "a=1; locale=fr" }), config),
+    {
+      locale: "fr",
+      path: "about",
+    },
+  );
+  // Unknown cookie values are ignored
+  assertEquals(
+    resolveLocale(
+      "about",
+      req({ cookie: "locale=xx", "accept-language": "de, fr-CA;q=0.8" }),
+      config,
+    ).locale,
+    "fr",
+  );
+  assertEquals(resolveLocale("about", req({}), config).locale, "en");
+
+  const none = { locales: [], defaultLocale: null, catalogs: new Map() };
+  assertEquals(resolveLocale("fr/about", undefined, none), {
+    locale: null,
+    path: "fr/about",
+  });
+});
+
+Deno.test("negotiateLocale - follows quality values", async () => {
+  const dir = await createTempFiles(catalogs, "locales_");
+  const config = await loadLocales(mockLog, dir);
+  await Deno.remove(dir, { recursive: true });
+
+  assertEquals(negotiateLocale(config, "fr;q=0.5, en;q=0.9"), "en");
+  assertEquals(negotiateLocale(config, "pt-BR, fr"), "pt-BR");
+  assertEquals(negotiateLocale(config, "de, *;q=0.5"), undefined);
+  assertEquals(negotiateLocale(config, null), undefined);
+});
+
+Deno.test("translate - interpolation, plurals and fallbacks", async () => {
+  const dir = await createTempFiles(catalogs, "locales_");
+  const config = await loadLocales(mockLog, dir);
+  await Deno.remove(dir, { recursive: true });
+
+  assertEquals(translate("fr", "nav.home", {}, config), "Accueil");
+  assertEquals(
+    translate("fr", "greeting", { name: "Ada" }, config),
+    "Bonjour Ada",
+  );
+  // Missing values keep their placeholder
+  assertEquals(translate("en", "greeting", {}, config), "Hello {name}");
+  // Region falls back to the language, then to the default locale
+  assertEquals(translate("fr-CA", "nav.home", {}, config), "Accueil");
+  assertEquals(translate("fr", "only_english", {}, config), "Fallback");
+  assertEquals(translate(undefined, "nav.home", {}, config), "Home");
+  assertEquals(translate("fr", "missing.key", {}, config), "missing.key");
+
+  assertEquals(translate("en", "items", { count: 0 }, config), "No items");
+  assertEquals(translate("en", "items", { count: 1 }, config), "One item");
+  assertEquals(translate("en", "items", { count: 5 }, config), "5 items");
+  // French uses the singular for 0 and 1
+  assertEquals(translate("fr", "items", { count: 0 }, config), "0 article");
+  assertEquals(translate("fr", "items", { count: 2 }, config), "2 articles");
+});
@@ -0,0 +1,224 @@
+import { reloadTemplates } from "./render_page.js";
+import { reloadHelpers } from "./helpers.js";
+import { reloadRouteManifest } from "./route_manifest.js";
+import { reloadRedirects } from "./redirects.js";
+import { reloadLocales } from "./i18n.js";
+import { clearTemplateCache } from "./template_cache.js";
+import { FRAGMENT_PARAM } from "./content_negotiation.js";
+
+/**
+ * @typedef {Object} ChangeSet
+ * @property {boolean} templates - A layout, partial or helper changed
+ * @property {boolean} pages - A page, YAML file or page directory changed
+ * @property {boolean} static - A static asset changed
+ * @property {boolean} redirects - redirects.yaml changed
+ * @property {boolean} locales - A message catalog changed
+ */
+
+// Server-sent events endpoint the injected script listens to
+export const LIVE_RELOAD_PATH = "/_dev/reload";
+
+// Watched paths relative to the project root, by area
+const WATCHED_PATHS = {
+  templates: "templates",
+  pages: "pages",
+  static: "static",
+  redirects: "redirects.yaml",
+  locales: "locales",
+};
+
+// Changes are collected for a moment so a burst of file events (editor save,
+// git checkout) results in a single reload of the open tabs
+const RELOAD_DELAY_MS = 100;
+
+// Reconnects after a server restart, then reloads on the next change
+const LIVE_RELOAD_SCRIPT = `<script>
+new EventSource("${LIVE_RELOAD_PATH}")
+  .addEventListener("reload", () => location.reload());
+</script>`;
+
+const encoder = new TextEncoder();
+
+/** @type {Set<ReadableStreamDefaultController>} */
+const clients = new Set();
+
+/**
+ * Open a server-sent events stream for a browser tab
+ * @returns {Response} Event stream response
+ */
+export function liveReloadResponse() {
+  let client;
+  const body = new ReadableStream({
+    start(controller) {
+      client = controller;
+      clients.add(controller);
+      controller.enqueue(encoder.encode(": connected\n\n"));
+    },
+    cancel() {
+      clients.delete(client);
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      "content-type": "text/event-stream",
+      "cache-control": "no-cache",
+    },
+  });
+}
+
+/**
+ * Tell every connected tab to reload
+ * @param {string[]} reasons - What changed, sent as the event data
+ * @returns {number} Number of notified tabs
+ */
+export function notifyReload(reasons) {
+  const event = encoder.encode(`event: reload\ndata: ${reasons.join(",")}\n\n`);
+  for (const client of clients) {
+    try {
+      client.enqueue(event);
+    } catch {
+      // Tab went away without cancelling the stream
+      clients.delete(client);
+    }
+  }
+  return clients.size;
+}
+
+/**
+ * Add the live reload script to an HTML response
+ *
+ * htmx requests (boosted ones too) and `?_fragment=` responses are swapped
+ * into a page that already runs the script, so they are left alone.
+ *
+ * @param {Response} response - HTTP response
+ * @param {Request} [req] - HTTP request the response answers
+ * @returns {Promise<Response>} Response with the script before `</body>`
+ */
+export async function injectLiveReload(response, req) {
+  const contentType = response.headers.get("content-type") ?? "";
+  if (!contentType.startsWith("text/html") || !response.body) return response;
+  if (
+    req?.headers.get("hx-request") === "true" ||
+    (req && new URL(req.url).searchParams.has(FRAGMENT_PARAM))
+  ) {
+    return response;
+  }
+
+  const html = await response.text();
+  const index = html.lastIndexOf("</body>");
+  const injected = index === -1
+    ? html + LIVE_RELOAD_SCRIPT
+    : html.slice(0, index) + LIVE_RELOAD_SCRIPT + html.slice(index);
+
+  const headers = new Headers(response.headers);
+  headers.delete("content-length");
+  return new Response(injected, { status: response.status, headers });
+}
+
+/**
+ * Sort changed file paths into the areas they belong to
+ * @param {string[]} paths - Changed file paths, absolute or relative
+ * @param {string} [rootDir] - Project root the watched paths are relative to
+ * @returns {ChangeSet} Changed areas
+ */
+export function classifyChanges(paths, rootDir = Deno.cwd()) {
+  const changes = {
+    templates: false,
+    pages: false,
+    static: false,
+    redirects: false,
+    locales: false,
+  };
+  const root = rootDir.replace(/\/+$/, "");
+
+  for (const path of paths) {
+    const relativePath = path.startsWith(`${root}/`)
+      ? path.slice(root.length + 1)
+      : path.replace(/^\.\//, "");
+    for (const [area, name] of Object.entries(WATCHED_PATHS)) {
+      if (relativePath === name || relativePath.startsWith(`${name}/`)) {
+        changes[area] = true;
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Apply a set of changes: clear the template cache, reload templates, the
+ * route manifest, redirects and catalogs as needed, then reload the open tabs
+ * @param {ChangeSet} changes - Changed areas
+ * @param {Function} log - Logging function
+ * @returns {Promise<void>}
+ */
+export async function applyChanges(changes, log) {
+  const reasons = Object.keys(changes).filter((area) => changes[area]);
+  if (reasons.length === 0) return;
+
+  // Edited sources already miss the cache, clearing frees the stale entries
+  if (changes.templates || changes.pages) clearTemplateCache();
+  if (changes.templates) {
+    await reloadTemplates();
+    await reloadHelpers(log);
+  }
+  if (changes.pages) await reloadRouteManifest(log);
+  if (changes.redirects) await reloadRedirects(log);
+  if (changes.locales) await reloadLocales(log);
+
+  const tabs = notifyReload(reasons);
+  log({
+    level: "info",
+    message: `Files changed, reloading`,
+    data: { changed: reasons.join(", "), tabs },
+  });
+}
+
+/**
+ * Watch templates, pages, static files, redirects.yaml and locales/ in
+ * development mode
+ * @param {Function} log - Logging function
+ * @returns {Deno.FsWatcher} Watcher, close it to stop watching
+ */
+export function watchDevelopment(log) {
+  const watched = [];
+  for (const path of Object.values(WATCHED_PATHS)) {
+    try {
+      Deno.statSync(path);
+      watched.push(path);
+    } catch {
+      // Nothing to watch yet, e.g. no redirects.yaml
+    }
+  }
+
+  const watcher = Deno.watchFs(watched);
+  const changed = new Set();
+  let timer;
+
+  (async () => {
+    for await (const event of watcher) {
+      for (const path of event.paths) changed.add(path);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const paths = [...changed];
+        changed.clear();
+        applyChanges(classifyChanges(paths), log).catch((error) => {
+          log({
+            level: "error",
+            message: `Reload failed: ${error.message}`,
+            data: { error: error.message },
+          });
+        });
+      }, RELOAD_DELAY_MS);
+    }
+    clearTimeout(timer);
+  })();
+
+  log({
+    level: "info",
+    message: `Development mode: watching for changes`,
+    data: { paths: watched.join(", ") },
+  });
+
+  return watcher;
+}
@@ -0,0 +1,187 @@
+import { assertEquals } from "https://deno.land/std@0.207.0/assert/mod.ts";
+import {
+  applyChanges,
+  classifyChanges,
+  injectLiveReload,
+  LIVE_RELOAD_PATH,
+  liveReloadResponse,
+  notifyReload,
+} from "./live_reload.js";
+
+const decoder = new TextDecoder();
+
+Deno.test("injectLiveReload - adds the script before </body>", async () => {
+  const response = await injectLiveReload(
+    new Response("<html><body><p>Hi</p></body></html>", {
+      status: 404,
+      headers: { "content-type": "text/html" },
+    }),
+  );
+
+  assertEquals(response.status, 404);
+  const html = await response.text();
+  assertEquals(html.includes(`new EventSource("${LIVE_RELOAD_PATH}")`), true);
+  assertEquals(html.indexOf("<script>") > html.indexOf("<p>Hi</p>"), true);
+  assertEquals(html.endsWith("</script></body></html>"), true);
+});
+
+Deno.test("injectLiveReload - appends to HTML without a body tag", async () => {
+  const response = await injectLiveReload(
+    new Response("<p>Fragment</p>", {
+      headers: { "content-type": "text/html; charset=utf-8" },
+    }),
+  );
+
+  const html = await response.text();
+  assertEquals(html.startsWith("<p>Fragment</p><script>"), true);
+});
+
+Deno.test("injectLiveReload - skips htmx and fragment responses", async () => {
+  const html = () =>
+    new Response("<p>Swapped</p>", {
+      headers: { "content-type": "text/html" },
+    });
+  const requests = [
+    new Request("http://localhost/about", {
+      headers: { "hx-request": "true" },
+    }),
+    new Request("http://localhost/about", {
+      headers: { "hx-request": "true", "hx-boosted": "true" },
+    }),
+    new Request("http://localhost/about?_fragment=results"),
+  ];
+
+  for (const req of requests) {
+    const response = await injectLiveReload(html(), req);
+    assertEquals(await response.text(), "<p>Swapped</p>");
+  }
+
+  // Full page requests keep getting the script
+  const plain = await injectLiveReload(
+    html(),
+    new Request("http://localhost/about"),
+  );
+  assertEquals((await plain.text()).includes("EventSource"), true);
+});
+
+Deno.test("injectLiveReload - leaves other responses alone", async () => {
+  const original = new Response('{"ok":true}', {
+    headers: { "content-type": "application/json" },
+  });
+  const response = await injectLiveReload(original);
+
+  assertEquals(response, original);
+  assertEquals(await response.text(), '{"ok":true}');
+});
+
+Deno.test("liveReloadResponse - streams reload events to open tabs", async () => {
+  const response = liveReloadResponse();
+  assertEquals(response.headers.get("content-type"), "text/event-stream");
+
+  const reader = response.body.getReader();
+  assertEquals(decoder.decode((await reader.read()).value), ": connected\n\n");
+
+  assertEquals(notifyReload(["templates", "static"]), 1);
+  assertEquals(
+    decoder.decode((await reader.read()).value),
+    "event: reload\ndata: templates,static\n\n",
+  );
+
+  // Closed tabs are no longer notified
+  await reader.cancel();
+  assertEquals(notifyReload(["pages"]), 0);
+});
+
+Deno.test("classifyChanges - sorts paths into watched areas", () => {
+  const root = "/srv/app";
+
+  assertEquals(
+    classifyChanges([
+      "/srv/app/templates/layouts/layout.hbs",
+      "/srv/app/static/css/style.css",
+    ], root),
+    {
+      templates: true,
+      pages: false,
+      static: true,
+      redirects: false,
+      locales: false,
+    },
+  );
+  assertEquals(
+    classifyChanges(["/srv/app/pages/[id]/get.yaml", "redirects.yaml"], root),
+    {
+      templates: false,
+      pages: true,
+      static: false,
+      redirects: true,
+      locales: false,
+    },
+  );
+  assertEquals(
+    classifyChanges(["./locales/fr.yaml"], root),
+    {
+      templates: false,
+      pages: false,
+      static: false,
+      redirects: false,
+      locales: true,
+    },
+  );
+  // Similar names outside the watched directories don't count
+  assertEquals(
+    classifyChanges(["/srv/app/pages-old/index.html", "/elsewhere/x"], root),
+    {
+      templates: false,
+      pages: false,
+      static: false,
+      redirects: false,
+      locales: false,
+    },
+  );
+});
+
+Deno.test("applyChanges - notifies tabs and logs what changed", async () => {
+  const response = liveReloadResponse();
+  const reader = response.body.getReader();
+  await reader.read();
+  const logCalls = [];
+
+  try {
+    await applyChanges(
+      {
+        templates: false,
+        pages: false,
+        static: true,
+        redirects: false,
+        locales: false,
+      },
+      (entry) => logCalls.push(entry),
+    );
+
+    assertEquals(
+      decoder.decode((await reader.read()).value),
+      "event: reload\ndata: static\n\n",
+    );
+    assertEquals(logCalls.at(-1).message, "Files changed, reloading");
+    assertEquals(logCalls.at(-1).data, { changed: "static", tabs: 1 });
+  } finally {
+    await reader.cancel();
+  }
+});
+
+Deno.test("applyChanges - nothing changed does nothing", async () => {
+  const logCalls = [];
+  await applyChanges(
+    {
+      templates: false,
+      pages: false,
+      static: false,
+      redirects: false,
+      locales: false,
+    },
+    (entry) => logCalls.push(entry),
+  );
+
+  assertEquals(logCalls, []);
+});
@@ -0,0 +1,65 @@
+import { Marked } from "./deps.ts";
+
+/**
+ * @typedef {Object} FrontMatterResult
+ * @property {string|null} frontMatter - YAML between the `---` fences, if any
+ * @property {string} body - Markdown after the front matter
+ */
+
+// `---` on the first line, YAML, then a closing `---` line
+const FRONT_MATTER = /^---[ \t]*\r?\n([\s\S]*?)^---[ \t]*(?:\r?\n|$)/m;
+
+// Link and image schemes that are kept, anything else becomes `#`
+const SAFE_SCHEMES = ["http", "https", "mailto", "tel"];
+
+/**
+ * Check whether a link target is safe to render
+ *
+ * Params and query values are substituted before the Markdown is rendered, so
+ * `[x](javascript:...)` could come from a URL. Browsers ignore whitespace and
+ * control characters inside a scheme, so they are dropped before checking.
+ *
+ * @param {string} href - Link or image target
+ * @returns {boolean} Whether the target is relative or uses a safe scheme
+ */
+function isSafeUrl(href) {
+  // deno-lint-ignore no-control-regex
+  const compact = href.replace(/[\u0000- \u007f]/g, "");
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+  return !scheme || SAFE_SCHEMES.includes(scheme.toLowerCase());
+}
+
+const markdown = new Marked({
+  gfm: true,
+  walkTokens(token) {
+    if ((token.type === "link" || token.type === "image") && token.href) {
+      if (!isSafeUrl(token.href)) token.href = "#";
+    }
+  },
+});
+
+/**
+ * Split YAML front matter from a Markdown page
+ * @param {string} source - Markdown source
+ * @returns {FrontMatterResult} Front matter and body
+ */
+export function splitFrontMatter(source) {
+  if (!source.startsWith("---")) return { frontMatter: null, body: source };
+
+  const match = source.match(FRONT_MATTER);
+  if (!match || match.index !== 0) return { frontMatter: null, body: source };
+
+  return {
+    frontMatter: match[1],
+    body: source.slice(match[0].length),
+  };
+}
+
+/**
+ * Render Markdown to HTML
+ * @param {string} source - Markdown source
+ * @returns {string} HTML
+ */
+export function renderMarkdown(source) {
+  return markdown.parse(source);
+}
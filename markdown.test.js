@@ -0,0 +1,57 @@
+import { assertEquals } from "https://deno.land/std@0.207.0/assert/mod.ts";
+import { renderMarkdown, splitFrontMatter } from "./markdown.js";
+
+Deno.test("splitFrontMatter - separates YAML from the body", () => {
+  assertEquals(
+    splitFrontMatter("---\ntitle: Hello\ntags: [a]\n---\n# Body\n"),
+    { frontMatter: "title: Hello\ntags: [a]\n", body: "# Body\n" },
+  );
+  assertEquals(
+    splitFrontMatter("---\r\ntitle: Hello\r\n---\r\nBody"),
+    { frontMatter: "title: Hello\r\n", body: "Body" },
+  );
+  assertEquals(splitFrontMatter("---\n---\nBody"), {
+    frontMatter: "",
+    body: "Body",
+  });
+});
+
+Deno.test("splitFrontMatter - pages without front matter", () => {
+  assertEquals(splitFrontMatter("# Title\n\n---\n\ntext"), {
+    frontMatter: null,
+    body: "# Title\n\n---\n\ntext",
+  });
+  // An unclosed fence is a horizontal rule, not front matter
+  assertEquals(splitFrontMatter("---\ntitle: x\n").frontMatter, null);
+  assertEquals(splitFrontMatter("----\ntitle: x\n---\n").frontMatter, null);
+});
+
+Deno.test("renderMarkdown - renders GitHub flavored Markdown", () => {
+  assertEquals(
+    renderMarkdown("# Title\n\nSome **bold** text"),
+    "<h1>Title</h1>\n<p>Some <strong>bold</strong> text</p>\n",
+  );
+  assertEquals(
+    renderMarkdown("| a |\n| - |\n| 1 |").includes("<table>"),
+    true,
+  );
+});
+
+Deno.test("renderMarkdown - keeps safe links", () => {
+  assertEquals(
+    renderMarkdown("[a](/about) [b](https://example.com) [c](mailto:x@y.z)"),
+    '<p><a href="/about">a</a> <a href="https://example.com">b</a> ' +
+      '<a href="mailto:x@y.z">c</a></p>\n',
+  );
+});
+
+Deno.test("renderMarkdown - neutralizes script links and images", () => {
+  const html = renderMarkdown(
+    "[a](javascript:alert(1)) [b](JavaScript:alert(1)) ![c](data:text/html,x)",
+  );
+
+  assertEquals(html.includes("javascript"), false);
+  assertEquals(html.includes("JavaScript"), false);
+  assertEquals(html.includes("data:"), false);
+  assertEquals(html.includes('<a href="#">a</a>'), true);
+});
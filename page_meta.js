@@ -0,0 +1,98 @@
+/**
+ * @typedef {Object} PageMeta
+ * @property {string} title - Page title, also used for og:title
+ * @property {string} [description] - Meta description
+ * @property {string} [canonical] - Canonical URL, absolute when `SITE_URL` is set
+ * @property {string} [image] - Open Graph/Twitter image URL
+ * @property {string} type - Open Graph type, `website` by default
+ * @property {string} twitter_card - Twitter card type
+ */
+
+/**
+ * @typedef {Object} PageMetaOptions
+ * @property {string} path - Requested URL path without leading slash
+ * @property {string} [title] - Title used when `meta.title` is missing
+ * @property {boolean} [canonical] - Whether to emit a canonical URL, default true
+ */
+
+/**
+ * Site origin for absolute canonical and image URLs (`SITE_URL`)
+ * @returns {string} Origin without trailing slash, empty when unset
+ */
+export function getSiteUrl() {
+  try {
+    return (Deno.env.get("SITE_URL") ?? "").replace(/\/+$/, "");
+  } catch {
+    // No --allow-env, keep URLs relative
+    return "";
+  }
+}
+
+/**
+ * Title derived from the URL path: `/blog/hello-world` becomes "Hello world"
+ * @param {string} path - Requested URL path without leading slash
+ * @returns {string} Page title
+ */
+export function defaultTitle(path) {
+  const segment = path.split("/").filter(Boolean).pop();
+  if (!segment) return "Home";
+
+  let text = segment;
+  try {
+    text = decodeURIComponent(segment);
+  } catch {
+    // Malformed escapes, use the segment as is
+  }
+  text = text.replace(/[-_]+/g, " ").trim();
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : "Home";
+}
+
+/**
+ * Prefix root-relative URLs with the site origin
+ * @param {string} url - URL or root-relative path
+ * @param {string} siteUrl - Site origin
+ * @returns {string} Absolute URL when possible
+ */
+function absoluteUrl(url, siteUrl) {
+  return siteUrl && url.startsWith("/") && !url.startsWith("//")
+    ? `${siteUrl}${url}`
+    : url;
+}
+
+/**
+ * Fill in defaults for a page's rendered `meta:` block
+ * @param {Record<string, any>|undefined} meta - Rendered `meta:` block
+ * @param {PageMetaOptions} options - Request path and fallbacks
+ * @returns {PageMeta} Metadata for the `meta` partial
+ */
+export function buildPageMeta(meta, { path, title, canonical = true }) {
+  const values = meta && typeof meta === "object" && !Array.isArray(meta)
+    ? meta
+    : {};
+  const siteUrl = getSiteUrl();
+
+  /** @type {PageMeta} */
+  const result = {
+    ...values,
+    title: String(values.title ?? title ?? defaultTitle(path)),
+    type: values.type ?? "website",
+    twitter_card: values.twitter_card ??
+      (values.image ? "summary_large_image" : "summary"),
+  };
+
+  if (values.description !== undefined) {
+    result.description = String(values.description);
+  }
+  if (values.image) result.image = absoluteUrl(String(values.image), siteUrl);
+
+  // `canonical: false` in the block turns the tag off for a single page
+  if (values.canonical === false || (!values.canonical && !canonical)) {
+    delete result.canonical;
+  } else if (values.canonical) {
+    result.canonical = absoluteUrl(String(values.canonical), siteUrl);
+  } else {
+    result.canonical = `${siteUrl}/${path}`;
+  }
+
+  return result;
+}
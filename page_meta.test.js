@@ -0,0 +1,74 @@
+import { assertEquals } from "https://deno.land/std@0.207.0/assert/mod.ts";
+import { buildPageMeta, defaultTitle } from "./page_meta.js";
+
+Deno.test("defaultTitle - humanizes the last path segment", () => {
+  assertEquals(defaultTitle(""), "Home");
+  assertEquals(defaultTitle("with-data"), "With data");
+  assertEquals(defaultTitle("blog/hello_world"), "Hello world");
+  assertEquals(defaultTitle("docs/caf%C3%A9"), "Café");
+  assertEquals(defaultTitle("bad/%E0%A4%A"), "%E0%A4%A");
+});
+
+Deno.test("buildPageMeta - fills in defaults", () => {
+  assertEquals(buildPageMeta(undefined, { path: "about" }), {
+    title: "About",
+    type: "website",
+    twitter_card: "summary",
+    canonical: "/about",
+  });
+});
+
+Deno.test("buildPageMeta - meta title wins over the fallback title", () => {
+  const meta = buildPageMeta(
+    { title: "Custom", description: 42, image: "/img/card.png" },
+    { path: "with-data", title: "Data page" },
+  );
+
+  assertEquals(meta.title, "Custom");
+  assertEquals(meta.description, "42");
+  assertEquals(meta.twitter_card, "summary_large_image");
+  assertEquals(
+    buildPageMeta({}, { path: "x", title: "Data page" }).title,
+    "Data page",
+  );
+});
+
+Deno.test("buildPageMeta - canonical can be overridden or turned off", () => {
+  assertEquals(
+    buildPageMeta({ canonical: "https://example.com/a" }, { path: "b" })
+      .canonical,
+    "https://example.com/a",
+  );
+  assertEquals(
+    buildPageMeta({ canonical: false }, { path: "b" }).canonical,
+    undefined,
+  );
+  assertEquals(
+    buildPageMeta({}, { path: "b", canonical: false }).canonical,
+    undefined,
+  );
+});
+
+const envGranted =
+  (await Deno.permissions.query({ name: "env", variable: "SITE_URL" }))
+    .state === "granted";
+
+Deno.test({
+  name: "buildPageMeta - SITE_URL makes canonical and image URLs absolute",
+  ignore: !envGranted,
+  fn: () => {
+    const previous = Deno.env.get("SITE_URL");
+    Deno.env.set("SITE_URL", "https://example.com/");
+    try {
+      const meta = buildPageMeta(
+        { image: "/img/card.png" },
+        { path: "docs/intro" },
+      );
+      assertEquals(meta.canonical, "https://example.com/docs/intro");
+      assertEquals(meta.image, "https://example.com/img/card.png");
+    } finally {
+      if (previous === undefined) Deno.env.delete("SITE_URL");
+      else Deno.env.set("SITE_URL", previous);
+    }
+  },
+});
@@ -0,0 +1,264 @@
+import { parse } from "./deps.ts";
+import {
+  compilePattern,
+  findInvalidPatterns,
+  matchPattern,
+} from "./route_manifest.js";
+import { splitSafePath } from "./safe_path.js";
+
+/**
+ * @typedef {Object} RedirectRule
+ * @property {string} from - Source pattern, e.g. `/blog/[slug]`
+ * @property {string} to - Target path or URL, `[name]` is replaced by the param
+ * @property {number} status - Redirect status code
+ * @property {import("./route_manifest.js").RouteSegment[]} segments - Compiled `from`
+ */
+
+/**
+ * @typedef {Object} NormalizePolicy
+ * @property {'add'|'remove'|'ignore'} trailingSlash - Trailing slash policy
+ * @property {boolean} lowercase - Whether paths are lowercased
+ * @property {number} status - Status code of canonicalization redirects
+ */
+
+/**
+ * @typedef {Object} RedirectConfig
+ * @property {RedirectRule[]} rules - Redirect rules, first match wins
+ * @property {NormalizePolicy} normalize - URL canonicalization policy
+ */
+
+/**
+ * @typedef {Object} Redirect
+ * @property {string} location - Value of the Location header
+ * @property {number} status - Redirect status code
+ */
+
+const REDIRECTS_FILE = "./redirects.yaml";
+
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+const DEFAULT_STATUS = 301;
+const TRAILING_SLASH_POLICIES = ["add", "remove", "ignore"];
+
+// Static files are served by their exact name, see serve_static.js
+const STATIC_PREFIX = "/static/";
+
+// Param references in a redirect target: [name], [...name], [[name]], ...
+const TARGET_PARAM = /\[\[?(?:\.\.\.)?([^[\]:]+)\]?\]/g;
+
+/** @type {Map<string, Promise<RedirectConfig>>} */
+const configs = new Map();
+
+/**
+ * Pick a valid redirect status, falling back to the default
+ * @param {unknown} status - Configured status
+ * @param {number} fallback - Status used when none is configured
+ * @returns {number|null} Status code or null if it is not a redirect status
+ */
+function redirectStatus(status, fallback) {
+  if (status === undefined) return fallback;
+  return REDIRECT_STATUSES.includes(status) ? status : null;
+}
+
+/**
+ * Load redirect rules and the canonicalization policy from a YAML file
+ *
+ * A missing file means no redirects. Invalid rules are logged and skipped.
+ *
+ * @param {Function} log - Logging function
+ * @param {string} [file] - Path to redirects.yaml
+ * @returns {Promise<RedirectConfig>} Redirect configuration
+ */
+export async function loadRedirects(log, file = REDIRECTS_FILE) {
+  let settings = {};
+  try {
+    settings = parse(await Deno.readTextFile(file)) ?? {};
+  } catch (error) {
+    if (!(error instanceof Deno.errors.NotFound)) {
+      log({
+        level: "error",
+        message: `Invalid ${file}: ${error.message}`,
+        data: { file },
+      });
+    }
+  }
+
+  const normalize = settings.normalize ?? {};
+  const trailingSlash = TRAILING_SLASH_POLICIES.includes(
+      normalize.trailing_slash,
+    )
+    ? normalize.trailing_slash
+    : "ignore";
+
+  const rules = [];
+  for (const rule of settings.redirects ?? []) {
+    const status = redirectStatus(rule?.status, DEFAULT_STATUS);
+    if (
+      typeof rule?.from !== "string" || typeof rule?.to !== "string" || !status
+    ) {
+      log({
+        level: "warn",
+        message: `Skipping invalid redirect rule`,
+        data: { rule: JSON.stringify(rule) },
+      });
+      continue;
+    }
+
+    const segments = compilePattern(rule.from);
+    const [invalid] = findInvalidPatterns(segments);
+    if (invalid !== undefined) {
+      log({
+        level: "warn",
+        message: `Skipping redirect rule with invalid pattern: ${invalid}`,
+        data: { from: rule.from },
+      });
+      continue;
+    }
+    rules.push({ from: rule.from, to: rule.to, status, segments });
+  }
+
+  return {
+    rules,
+    normalize: {
+      trailingSlash,
+      lowercase: normalize.lowercase === true,
+      status: redirectStatus(normalize.status, DEFAULT_STATUS) ??
+        DEFAULT_STATUS,
+    },
+  };
+}
+
+/**
+ * Get the redirect configuration, loading it on first use
+ * @param {Function} log - Logging function
+ * @param {string} [file] - Path to redirects.yaml
+ * @returns {Promise<RedirectConfig>} Redirect configuration
+ */
+export function getRedirects(log, file = REDIRECTS_FILE) {
+  if (!configs.has(file)) {
+    configs.set(file, loadRedirects(log, file));
+  }
+  return configs.get(file);
+}
+
+/**
+ * Reload the redirect configuration from disk
+ * @param {Function} log - Logging function
+ * @param {string} [file] - Path to redirects.yaml
+ * @returns {Promise<RedirectConfig>} Redirect configuration
+ */
+export function reloadRedirects(log, file = REDIRECTS_FILE) {
+  const config = loadRedirects(log, file);
+  configs.set(file, config);
+  return config;
+}
+
+/**
+ * Apply the canonicalization policy to a URL path
+ *
+ * Leading slashes are collapsed, as `//evil.com` in a Location header points
+ * to another host. Paths under `/static/` are left as they are.
+ *
+ * @param {string} pathname - URL pathname
+ * @param {NormalizePolicy} policy - Canonicalization policy
+ * @returns {string} Canonical pathname
+ */
+export function canonicalPath(pathname, policy) {
+  const local = pathname.replace(/^\/{2,}/, "/");
+  if (local.startsWith(STATIC_PREFIX)) return local;
+
+  let path = policy.lowercase ? local.toLowerCase() : local;
+  if (path === "/") return path;
+
+  if (policy.trailingSlash === "remove") {
+    path = path.replace(/\/+$/, "") || "/";
+  } else if (policy.trailingSlash === "add") {
+    // Paths that look like files (style.css) never get a slash
+    const last = path.slice(path.lastIndexOf("/") + 1);
+    if (last !== "" && !last.includes(".")) path += "/";
+  }
+  return path;
+}
+
+/**
+ * Fill a redirect target with parameters captured by the source pattern
+ * @param {string} target - Target path or URL
+ * @param {import("./route_manifest.js").RouteMatch['params']} params - Params
+ * @returns {string} Location
+ */
+function fillTarget(target, params) {
+  const location = target.replace(TARGET_PARAM, (_, name) => {
+    const value = params[name];
+    if (value === undefined) return "";
+    return Array.isArray(value)
+      ? value.map((item) => encodeURIComponent(item)).join("/")
+      : encodeURIComponent(value);
+  });
+
+  // A skipped optional param must not leave an empty segment behind
+  return location.startsWith("/") ? location.replace(/\/{2,}/g, "/") : location;
+}
+
+/**
+ * Find the redirect for a request URL
+ *
+ * Redirect rules are matched in file order against the canonical path. When no
+ * rule matches, a path that differs from its canonical form is redirected to
+ * it. Canonicalization only applies to GET and HEAD requests so form
+ * submissions are never turned into GETs. The query string is kept unless the
+ * target has its own.
+ *
+ * @param {RedirectConfig} config - Redirect configuration
+ * @param {URL} url - Request URL
+ * @param {string} [method] - Request method
+ * @returns {Redirect|null} Redirect or null
+ */
+export function findRedirect(config, url, method = "GET") {
+  const canonical = method === "GET" || method === "HEAD"
+    ? canonicalPath(url.pathname, config.normalize)
+    : url.pathname;
+
+  const pathSegments = splitSafePath(canonical.slice(1));
+  if (pathSegments) {
+    for (const rule of config.rules) {
+      const params = matchPattern(rule.segments, pathSegments);
+      if (!params) continue;
+
+      const location = fillTarget(rule.to, params);
+      return {
+        location: location.includes("?") ? location : location + url.search,
+        status: rule.status,
+      };
+    }
+  }
+
+  if (canonical !== url.pathname) {
+    return {
+      location: canonical + url.search,
+      status: config.normalize.status,
+    };
+  }
+
+  return null;
+}
+
+// Redirect handling
+/**
+ * @param {URL} url - Request URL
+ * @param {string} method - Request method
+ * @param {Function} log - Logging function
+ * @returns {Promise<Response|null>} Redirect response or null
+ */
+export async function redirectRequest(url, method, log) {
+  const redirect = findRedirect(await getRedirects(log), url, method);
+  if (!redirect) return null;
+
+  log({
+    level: "info",
+    message: `Redirecting ${url.pathname} to ${redirect.location}`,
+    data: { status: redirect.status },
+  });
+  return new Response(null, {
+    status: redirect.status,
+    headers: { location: redirect.location },
+  });
+}
@@ -0,0 +1,241 @@
+import {
+  assertEquals,
+  assertExists,
+} from "https://deno.land/std@0.207.0/assert/mod.ts";
+import {
+  canonicalPath,
+  findRedirect,
+  loadRedirects,
+  redirectRequest,
+} from "./redirects.js";
+import { createTempFiles } from "./test_helpers.js";
+
+// Mock logging function
+const mockLog = () => {};
+
+/**
+ * Build a request URL
+ * @param {string} path - Path and query
+ * @returns {URL} URL
+ */
+function url(path) {
+  return new URL(`http://localhost:8000${path}`);
+}
+
+const RULES = `
+redirects:
+  - from: /old-about
+    to: /about
+  - from: /blog/[slug]
+    to: /posts/[slug]
+    status: 308
+  - from: /items/[id:int]
+    to: /fetched/[id]
+    status: 302
+  - from: /guide/[[...path]]
+    to: /docs/[[...path]]
+    status: 307
+  - from: /external/[name]
+    to: https://example.com/[name]?ref=site
+`;
+
+Deno.test("loadRedirects - missing file means no redirects", async () => {
+  const config = await loadRedirects(mockLog, "./does-not-exist.yaml");
+
+  assertEquals(config.rules, []);
+  assertEquals(config.normalize, {
+    trailingSlash: "ignore",
+    lowercase: false,
+    status: 301,
+  });
+  assertEquals(findRedirect(config, url("/about/")), null);
+});
+
+Deno.test("loadRedirects - skips invalid rules", async () => {
+  const dir = await createTempFiles({
+    "redirects.yaml": `
+redirects:
+  - from: /a
+    to: /b
+    status: 200
+  - from: /c
+  - from: /d
+    to: /e
+  - from: "/f/[x:(]"
+    to: /g
+`,
+  }, "redirects_");
+  const file = `${dir}/redirects.yaml`;
+  const logCalls = [];
+
+  try {
+    const config = await loadRedirects((entry) => logCalls.push(entry), file);
+
+    assertEquals(config.rules.map((rule) => rule.from), ["/d"]);
+    assertEquals(config.rules[0].status, 301);
+    assertEquals(logCalls.filter((call) => call.level === "warn").length, 3);
+    assertEquals(
+      logCalls.at(-1).message,
+      "Skipping redirect rule with invalid pattern: (",
+    );
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+});
+
+Deno.test("loadRedirects - logs invalid YAML", async () => {
+  const dir = await createTempFiles({
+    "redirects.yaml": "redirects: [unclosed",
+  }, "redirects_");
+  const file = `${dir}/redirects.yaml`;
+  const logCalls = [];
+
+  try {
+    const config = await loadRedirects((entry) => logCalls.push(entry), file);
+
+    assertEquals(config.rules, []);
+    assertExists(logCalls.find((call) => call.level === "error"));
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+});
+
+Deno.test("findRedirect - static and pattern rules", async () => {
+  const dir = await createTempFiles({ "redirects.yaml": RULES }, "redirects_");
+  const file = `${dir}/redirects.yaml`;
+
+  try {
+    const config = await loadRedirects(mockLog, file);
+
+    assertEquals(findRedirect(config, url("/old-about")), {
+      location: "/about",
+      status: 301,
+    });
+    assertEquals(findRedirect(config, url("/blog/hello%20world?page=2")), {
+      location: "/posts/hello%20world?page=2",
+      status: 308,
+    });
+    assertEquals(findRedirect(config, url("/items/42")), {
+      location: "/fetched/42",
+      status: 302,
+    });
+    assertEquals(findRedirect(config, url("/guide/a/b")), {
+      location: "/docs/a/b",
+      status: 307,
+    });
+    assertEquals(findRedirect(config, url("/guide")), {
+      location: "/docs/",
+      status: 307,
+    });
+    // A target with its own query string replaces the request's
+    assertEquals(findRedirect(config, url("/external/x?y=1")), {
+      location: "https://example.com/x?ref=site",
+      status: 301,
+    });
+
+    // Param constraints work like in page directories
+    assertEquals(findRedirect(config, url("/items/abc")), null);
+    assertEquals(findRedirect(config, url("/about")), null);
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+});
+
+Deno.test("canonicalPath - trailing slash and case policies", () => {
+  const remove = { trailingSlash: "remove", lowercase: false, status: 301 };
+  const add = { trailingSlash: "add", lowercase: true, status: 301 };
+
+  assertEquals(canonicalPath("/about/", remove), "/about");
+  assertEquals(canonicalPath("/about//", remove), "/about");
+  assertEquals(canonicalPath("/About", remove), "/About");
+  assertEquals(canonicalPath("/", remove), "/");
+
+  assertEquals(canonicalPath("/About", add), "/about/");
+  assertEquals(canonicalPath("/about/", add), "/about/");
+  assertEquals(
+    canonicalPath("/static/css/style.css", add),
+    "/static/css/style.css",
+  );
+  assertEquals(canonicalPath("/", add), "/");
+  assertEquals(
+    canonicalPath("/static/CSS/Style.css", add),
+    "/static/CSS/Style.css",
+  );
+});
+
+Deno.test("findRedirect - never redirects to another host", async () => {
+  const config = await loadRedirects(mockLog, "./redirects.yaml");
+  const add = {
+    ...config,
+    normalize: { trailingSlash: "add", lowercase: true, status: 301 },
+  };
+
+  assertEquals(findRedirect(config, url("//evil.com/")), {
+    location: "/evil.com",
+    status: 301,
+  });
+  assertEquals(findRedirect(config, url("///evil.com")), {
+    location: "/evil.com",
+    status: 301,
+  });
+  assertEquals(findRedirect(add, url("//evil.org/x")), {
+    location: "/evil.org/x/",
+    status: 301,
+  });
+  assertEquals(findRedirect(add, url("//Evil.org/x/")), {
+    location: "/evil.org/x/",
+    status: 301,
+  });
+});
+
+Deno.test("findRedirect - canonicalization for GET and HEAD only", async () => {
+  const dir = await createTempFiles({
+    "redirects.yaml": `
+normalize:
+  trailing_slash: remove
+  lowercase: true
+  status: 308
+${RULES}`,
+  }, "redirects_");
+  const file = `${dir}/redirects.yaml`;
+
+  try {
+    const config = await loadRedirects(mockLog, file);
+
+    assertEquals(findRedirect(config, url("/About/?x=1")), {
+      location: "/about?x=1",
+      status: 308,
+    });
+    assertEquals(findRedirect(config, url("/about/"), "HEAD"), {
+      location: "/about",
+      status: 308,
+    });
+    assertEquals(findRedirect(config, url("/about"), "GET"), null);
+    assertEquals(findRedirect(config, url("/about/"), "POST"), null);
+
+    // Rules match the canonical path, so one redirect is enough
+    assertEquals(findRedirect(config, url("/Old-About/")), {
+      location: "/about",
+      status: 301,
+    });
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+});
+
+Deno.test("redirectRequest - answers with a Location header", async () => {
+  const response = await redirectRequest(url("/home"), "GET", mockLog);
+
+  assertEquals(response.status, 301);
+  assertEquals(response.headers.get("location"), "/");
+  assertEquals(await redirectRequest(url("/about"), "GET", mockLog), null);
+});
+
+Deno.test("loadRedirects - repository redirects.yaml is valid", async () => {
+  const logCalls = [];
+  const config = await loadRedirects((entry) => logCalls.push(entry));
+
+  assertEquals(logCalls, []);
+  assertEquals(config.normalize.trailingSlash, "remove");
+  assertEquals(findRedirect(config, url("/about/")).location, "/about");
+});
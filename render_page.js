@@ -1,63 +1,165 @@
-import { Handlebars } from "./deps.ts";
-import { fetchPage } from "./fetch_page.js";
-import { fetchData } from "./fetch_data.js";
+import { fetchErrorPage, fetchPage } from "./fetch_page.js";
+import { DataFetchError, fetchData } from "./fetch_data.js";
+import { isDevelopment } from "./dev_mode.js";
+import { compileTemplate } from "./template_cache.js";
+import { createHandlebars, ensureHelpersLoaded } from "./helpers.js";
+import { renderMarkdown } from "./markdown.js";
+import { buildPageMeta } from "./page_meta.js";
+import { getLocales, resolveLocale } from "./i18n.js";
+import {
+  FRAGMENT_PARAM,
+  isPartialRequest,
+  jsonResponse,
+  jsonSettings,
+  publicData,
+  varyHeader,
+  wantsJson,
+} from "./content_negotiation.js";
 
 // Initialize Handlebars
-const handlebars = Handlebars.create();
+const handlebars = createHandlebars();
+
+const DEFAULT_LAYOUT = "layout";
+
+// A layout starting with `{{!< parent}}` is rendered inside the parent layout
+const PARENT_LAYOUT = /^\s*\{\{!<\s*([\w\-/]+)\s*\}\}/;
+
+// Fragment names double as partial names, e.g. `?_fragment=search/results`
+const FRAGMENT_NAME = /^[\w\-/]+$/;
+
+/** @type {Map<string, string>} */
+const layouts = new Map();
+
+const TEMPLATES_DIR = "./templates";
 
-// Load all layouts
 /**
- * @returns {Promise<void>}
+ * Read every `.hbs` layout of a directory
+ * @param {string} dir - Layouts directory
+ * @returns {Promise<Map<string, string>>} Layout sources by name
  */
-async function loadLayouts() {
+async function loadLayouts(dir) {
+  const loaded = new Map();
   try {
-    const layoutFiles = await Deno.readDir("./templates/layouts");
-    for await (const file of layoutFiles) {
+    for await (const file of Deno.readDir(dir)) {
       if (file.name.endsWith(".hbs")) {
         const layoutName = file.name.replace(".hbs", "");
-        const layoutContent = await Deno.readTextFile(
-          `./templates/layouts/${file.name}`,
-        );
-        handlebars.registerPartial(layoutName, layoutContent);
+        loaded.set(layoutName, await Deno.readTextFile(`${dir}/${file.name}`));
         console.log(`Loaded layout: ${layoutName}`);
       }
     }
   } catch (error) {
     console.log("No layouts directory found:", error.message);
   }
+  return loaded;
 }
 
-// Load all partials
 /**
- * @returns {Promise<void>}
+ * Read every `.hbs` file below a directory
+ *
+ * Partials are named by their path relative to the directory without the
+ * extension, so `forms/input.hbs` becomes `forms/input`.
+ *
+ * @param {string} dir - Partials directory
+ * @param {string} [prefix] - Name prefix of the directory being read
+ * @returns {Promise<Map<string, string>>} Partial sources by name, sorted
  */
-async function loadPartials() {
-  try {
-    const partialFiles = await Deno.readDir("./templates/partials");
-    for await (const file of partialFiles) {
-      if (file.name.endsWith(".hbs")) {
-        const partialName = file.name.replace(".hbs", "");
-        const partialContent = await Deno.readTextFile(
-          `./templates/partials/${file.name}`,
-        );
-        handlebars.registerPartial(partialName, partialContent);
-        console.log(`Loaded partial: ${partialName}`);
-      }
+export async function readPartials(dir, prefix = "") {
+  const entries = [];
+  for await (const entry of Deno.readDir(dir)) entries.push(entry);
+  entries.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+  const partials = new Map();
+  for (const entry of entries) {
+    const path = `${dir}/${entry.name}`;
+    if (entry.isDirectory) {
+      const nested = await readPartials(path, `${prefix}${entry.name}/`);
+      for (const [name, content] of nested) partials.set(name, content);
+    } else if (entry.isFile && entry.name.endsWith(".hbs")) {
+      const name = prefix + entry.name.slice(0, -".hbs".length);
+      partials.set(name, await Deno.readTextFile(path));
     }
+  }
+  return partials;
+}
+
+/**
+ * Read the partials of a directory, leaving out names taken by a layout
+ * @param {string} dir - Partials directory
+ * @param {Map<string, string>} layoutSources - Layouts by name
+ * @returns {Promise<Map<string, string>>} Partial sources by name
+ */
+async function loadPartials(dir, layoutSources) {
+  let partials;
+  try {
+    partials = await readPartials(dir);
   } catch (error) {
     console.log("No partials directory found:", error.message);
+    return new Map();
+  }
+
+  for (const partialName of partials.keys()) {
+    // Layouts share the partial namespace, a partial must not replace one
+    if (layoutSources.has(partialName)) {
+      console.error(
+        `Skipping partial ${partialName}: a layout has the same name`,
+      );
+      partials.delete(partialName);
+      continue;
+    }
+    console.log(`Loaded partial: ${partialName}`);
   }
+  return partials;
 }
 
-// Load templates on module import
-let templatesLoaded = false;
-async function ensureTemplatesLoaded() {
-  if (!templatesLoaded) {
-    console.log("Loading templates...");
-    await loadLayouts();
-    await loadPartials();
-    templatesLoaded = true;
+// Load templates on first render, reloadTemplates() starts over
+/** @type {Promise<void>|null} */
+let templatesLoaded = null;
+
+// Bumped by every load, so a slower earlier load can't undo a newer one
+let templatesGeneration = 0;
+
+/**
+ * Register every layout and partial, dropping previously registered ones
+ *
+ * Everything is read before anything is replaced, so renders running during
+ * a reload see either the old or the new templates.
+ *
+ * @param {string} dir - Templates directory with `layouts/` and `partials/`
+ * @returns {Promise<void>}
+ */
+async function loadTemplates(dir) {
+  console.log("Loading templates...");
+  const generation = ++templatesGeneration;
+  const layoutSources = await loadLayouts(`${dir}/layouts`);
+  const partials = await loadPartials(`${dir}/partials`, layoutSources);
+  if (generation !== templatesGeneration) return templatesLoaded;
+
+  for (const name of Object.keys(handlebars.partials)) {
+    handlebars.unregisterPartial(name);
   }
+  layouts.clear();
+  for (const [name, content] of [...layoutSources, ...partials]) {
+    handlebars.registerPartial(name, content);
+  }
+  for (const [name, content] of layoutSources) layouts.set(name, content);
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+function ensureTemplatesLoaded() {
+  templatesLoaded ??= loadTemplates(TEMPLATES_DIR);
+  return templatesLoaded;
+}
+
+/**
+ * Reload layouts and partials from disk, e.g. after a template changed
+ * @param {string} [dir] - Templates directory with `layouts/` and `partials/`
+ * @returns {Promise<void>}
+ */
+export function reloadTemplates(dir = TEMPLATES_DIR) {
+  templatesLoaded = loadTemplates(dir);
+  return templatesLoaded;
 }
 
 /**
@@ -66,12 +168,25 @@ async function ensureTemplatesLoaded() {
  * @param {Record<string, string>} query - Query parameters
  * @param {Function} log - Logging function
  * @param {Record<string, Function>} dataStrategies - Data strategies
+ * @param {Request} [req] - HTTP request, `Accept` selects JSON output,
+ *   `HX-Request` renders the page without its layout and `Accept-Language`
+ *   or the `locale` cookie pick the locale
  * @returns {Promise<Response>} HTTP response
  */
-export async function renderPage(path, query = {}, log, dataStrategies) {
+export async function renderPage(path, query = {}, log, dataStrategies, req) {
+  // `Accept: application/json` or `?_format=json` returns the data context
+  const json = wantsJson(req, query);
+  // A locale prefix (`/fr/about`) picks the locale and isn't part of the route
+  const { locale, path: routePath } = resolveLocale(
+    path,
+    req,
+    await getLocales(log),
+  );
+  const vary = varyHeader(locale);
   try {
-    // Ensure templates are loaded before rendering
+    // Ensure templates and helpers are loaded before rendering
     await ensureTemplatesLoaded();
+    await ensureHelpersLoaded(log);
     log({
       level: "info",
       message: `Rendering page for path: ${path}`,
@@ -79,17 +194,26 @@ export async function renderPage(path, query = {}, log, dataStrategies) {
     });
 
     // Fetch page content and YAML data
-    const pageResult = await fetchPage(path, log);
+    const pageResult = await fetchPage(routePath, log);
     if (!pageResult.found) {
       log({
         level: "warn",
         message: `Page not found for path: ${path}`,
         data: { path },
       });
-      return new Response("Page not found", { status: 404 });
+      return await renderErrorPage({
+        status: 404,
+        path,
+        query,
+        log,
+        dataStrategies,
+        json,
+        locale,
+      });
     }
 
-    const { pageContent, yamlContent, params = {} } = pageResult;
+    const { pageContent, yamlContent, params = {}, layout, format } =
+      pageResult;
 
     // Process YAML content and fetch data
     let data;
@@ -100,6 +224,7 @@ export async function renderPage(path, query = {}, log, dataStrategies) {
         query,
         dataStrategies,
         log,
+        locale,
       });
     } else {
       log({
@@ -107,13 +232,29 @@ export async function renderPage(path, query = {}, log, dataStrategies) {
         message: "No YAML data found, serving with parameters and query only",
         data: { params, query },
       });
-      data = { params, query };
+      data = locale ? { params, query, locale } : { params, query };
+    }
+
+    if (json) {
+      const { enabled, exclude } = jsonSettings(data);
+      if (!enabled) {
+        log({
+          level: "info",
+          message: `JSON output disabled for path: ${path}`,
+          data: { path },
+        });
+        return jsonResponse(
+          { error: "Not acceptable", status: 406 },
+          406,
+          vary,
+        );
+      }
+      return jsonResponse(publicData(data, exclude), 200, vary);
     }
 
     // Check if this is a pure HTML file (contains doctype)
-    const isPureHtml = pageContent.trim().toLowerCase().startsWith(
-      "<!doctype html",
-    );
+    const isPureHtml = format !== "markdown" &&
+      pageContent.trim().toLowerCase().startsWith("<!doctype html");
 
     if (isPureHtml) {
       // Serve pure HTML files directly without template processing
@@ -124,44 +265,257 @@ export async function renderPage(path, query = {}, log, dataStrategies) {
       });
 
       return new Response(pageContent, {
-        headers: { "content-type": "text/html" },
+        headers: { "content-type": "text/html", "vary": vary },
       });
     }
 
-    // Render with default layout for template files
-    const templateData = {
-      title: path ? path.charAt(0).toUpperCase() + path.slice(1) : "Home",
-      body: pageContent,
-      ...data,
-    };
+    // `meta.title` wins over a `title` key, then the title derived from the path
+    const meta = buildPageMeta(data.meta, { path, title: data.title });
+
+    const fragment = query[FRAGMENT_PARAM];
+    if (fragment !== undefined) {
+      const html = renderFragment(
+        pageContent,
+        { ...data, meta },
+        fragment,
+        format,
+      );
+      if (html === null) {
+        log({
+          level: "warn",
+          message: `Fragment not found: ${fragment}`,
+          data: { path, fragment },
+        });
+        return new Response(`Fragment not found: ${fragment}`, {
+          status: 404,
+          headers: { "content-type": "text/plain", "vary": vary },
+        });
+      }
+      return new Response(html, {
+        headers: { "content-type": "text/html", "vary": vary },
+      });
+    }
+
+    // htmx swaps the page body into an existing page, the layout is already there
+    const html = renderWithLayout(
+      pageContent,
+      { ...data, meta },
+      meta.title,
+      isPartialRequest(req) ? false : data.layout ?? layout,
+      log,
+      format,
+    );
 
+    return new Response(html, {
+      headers: { "content-type": "text/html", "vary": vary },
+    });
+  } catch (error) {
+    // A required upstream failed (`on_error: fail`), not the page itself
+    const failedFetch = error instanceof DataFetchError;
     log({
-      level: "info",
-      message: `Rendering with layout`,
-      data: { dataKeys: Object.keys(templateData) },
+      level: "error",
+      message: failedFetch ? error.message : "Error rendering page",
+      data: { error: error.message },
+    });
+    return await renderErrorPage({
+      status: failedFetch ? 502 : 500,
+      path,
+      query,
+      error,
+      log,
+      dataStrategies,
+      json,
+      locale,
     });
+  }
+}
+
+/**
+ * Render a page template with data and wrap it in its layouts
+ * @param {string} pageContent - Page template source
+ * @param {Record<string, any>} data - Template data
+ * @param {string} title - Default page title
+ * @param {string|false|undefined} layout - Layout name, false for no layout
+ * @param {Function} log - Logging function
+ * @param {'html'|'markdown'} [format] - Page format, Markdown is rendered to
+ *   HTML after Handlebars substitution
+ * @returns {string} Rendered HTML
+ */
+function renderWithLayout(pageContent, data, title, layout, log, format) {
+  // Render with default layout for template files
+  const templateData = {
+    title,
+    body: pageContent,
+    ...data,
+  };
+
+  log({
+    level: "info",
+    message: `Rendering with layout`,
+    data: {
+      layout: String(layout ?? DEFAULT_LAYOUT),
+      dataKeys: Object.keys(templateData),
+    },
+  });
+
+  // First render the body with data, then wrap in layout
+  let html = compileTemplate(handlebars, pageContent)(data);
+  if (format === "markdown") html = renderMarkdown(html);
+  if (layout === false) return html;
+
+  // Walk up the layout chain, each layout wraps the previous output
+  const seen = [];
+  let layoutName = layout ?? DEFAULT_LAYOUT;
+  while (layoutName) {
+    if (seen.includes(layoutName)) {
+      throw new Error(`Layout cycle: ${[...seen, layoutName].join(" -> ")}`);
+    }
+    seen.push(layoutName);
+
+    const layoutContent = layouts.get(layoutName);
+    if (layoutContent === undefined) {
+      throw new Error(`Layout not found: ${layoutName}`);
+    }
 
-    // First render the body with data, then wrap in layout
-    const renderedBody = handlebars.compile(pageContent)(data);
     const layoutData = {
       title: templateData.title,
-      body: renderedBody,
+      body: html,
       ...data,
     };
+    html = compileTemplate(handlebars, layoutContent)(layoutData);
+    layoutName = layoutContent.match(PARENT_LAYOUT)?.[1];
+  }
+
+  return html;
+}
+
+/**
+ * Render a single fragment of a page
+ *
+ * The page is rendered with `@fragments` set, so every `{{#fragment name}}`
+ * block records its output; the first block with the requested name wins.
+ * Without such a block, a partial of that name is rendered with the page data.
+ *
+ * @param {string} pageContent - Page template source
+ * @param {Record<string, any>} data - Template data
+ * @param {string} name - Fragment or partial name
+ * @param {'html'|'markdown'} [format] - Page format
+ * @returns {string|null} Rendered fragment or null if there is none
+ */
+function renderFragment(pageContent, data, name, format) {
+  if (!FRAGMENT_NAME.test(name)) return null;
 
-    const html = handlebars.compile("{{> layout}}")(layoutData);
+  /** @type {Map<string, string>} */
+  const fragments = new Map();
+  compileTemplate(handlebars, pageContent)(data, { data: { fragments } });
+
+  let html = fragments.get(name);
+  // Layouts are registered as partials too, but are never a fragment
+  if (html === undefined && handlebars.partials[name] && !layouts.has(name)) {
+    html = compileTemplate(handlebars, `{{> [${name}]}}`)(data);
+  }
+  if (html === undefined) return null;
+
+  return format === "markdown" ? renderMarkdown(html) : html;
+}
+
+/**
+ * @typedef {Object} ErrorPageOptions
+ * @property {number} status - HTTP status code
+ * @property {string} path - Requested URL path without leading slash
+ * @property {Record<string, string>} [query] - Query parameters
+ * @property {Error} [error] - Error that caused the response
+ * @property {Function} log - Logging function
+ * @property {Record<string, Function>} dataStrategies - Data strategies
+ * @property {boolean} [json] - Respond with a JSON error instead of HTML
+ * @property {string|null} [locale] - Locale of the failing request
+ */
+
+/**
+ * Render the `_<status>` error page through the layout
+ *
+ * Pages receive `status`, `path` and, in development mode only, `error` with
+ * the message and stack. Falls back to a plain text response when no error
+ * page exists or the error page itself fails to render. JSON requests get
+ * `{ error, status }` instead.
+ *
+ * @param {ErrorPageOptions} options - Error page options
+ * @returns {Promise<Response>} HTTP response
+ */
+export async function renderErrorPage(
+  {
+    status,
+    path,
+    query = {},
+    error,
+    log,
+    dataStrategies,
+    json = false,
+    locale = null,
+  },
+) {
+  // Error details are only shown to users in development mode
+  const showError = isDevelopment() && Boolean(error);
+
+  let fallbackText = status === 502 ? "Bad gateway" : "Internal server error";
+  if (status === 404) {
+    fallbackText = "Page not found";
+  } else if (showError) {
+    fallbackText = `${fallbackText}: ${error.message}`;
+  }
+
+  const vary = varyHeader(locale);
+  if (json) return jsonResponse({ error: fallbackText, status }, status, vary);
+
+  try {
+    await ensureTemplatesLoaded();
+    await ensureHelpersLoaded(log);
+
+    const pageResult = await fetchErrorPage(status, log);
+    if (!pageResult.found) {
+      return new Response(fallbackText, { status });
+    }
+
+    const context = {
+      status,
+      path: `/${path}`,
+      error: showError ? { message: error.message, stack: error.stack } : null,
+    };
+
+    // Error pages see the failing request's query but no route params
+    const data = await fetchData({
+      yamlContent: pageResult.yamlContent,
+      params: {},
+      query,
+      dataStrategies,
+      log,
+      locale,
+    });
+
+    const meta = buildPageMeta(data.meta, {
+      path,
+      title: data.title ?? (status === 404 ? "Page not found" : "Error"),
+      canonical: false,
+    });
+    const html = renderWithLayout(
+      pageResult.pageContent,
+      { ...data, ...context, meta },
+      meta.title,
+      data.layout ?? pageResult.layout,
+      log,
+      pageResult.format,
+    );
 
     return new Response(html, {
-      headers: { "content-type": "text/html" },
+      status,
+      headers: { "content-type": "text/html", "vary": vary },
     });
-  } catch (error) {
+  } catch (renderError) {
     log({
       level: "error",
-      message: "Error rendering page",
-      data: { error: error.message },
-    });
-    return new Response(`Internal server error: ${error.message}`, {
-      status: 500,
+      message: "Error rendering error page",
+      data: { status: String(status), error: renderError.message },
     });
+    return new Response(fallbackText, { status });
   }
 }
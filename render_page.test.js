@@ -0,0 +1,665 @@
+import {
+  assertEquals,
+  assertFalse,
+} from "https://deno.land/std@0.207.0/assert/mod.ts";
+import {
+  readPartials,
+  reloadTemplates,
+  renderErrorPage,
+  renderPage,
+} from "./render_page.js";
+import { reloadRouteManifest } from "./route_manifest.js";
+import { createTempFiles } from "./test_helpers.js";
+
+// Mock logging function
+const mockLog = () => {};
+
+const envGranted =
+  (await Deno.permissions.query({ name: "env", variable: "DENO_ENV" }))
+    .state === "granted";
+
+Deno.test("renderPage - renders page inside the layout", async () => {
+  const response = await renderPage("with-data", {}, mockLog, {});
+
+  assertEquals(response.status, 200);
+  assertEquals(response.headers.get("content-type"), "text/html");
+
+  const html = await response.text();
+  assertEquals(html.includes("<title>About Alice</title>"), true);
+  assertEquals(html.includes("My name is Alice, I am 45."), true);
+});
+
+Deno.test("renderPage - meta block renders description and social tags", async () => {
+  const response = await renderPage("with-data", {}, mockLog, {});
+  const html = await response.text();
+
+  assertEquals(
+    html.includes(
+      '<meta name="description" content="Alice is 45 years old.">',
+    ),
+    true,
+  );
+  assertEquals(html.includes('<link rel="canonical" href="'), true);
+  assertEquals(
+    html.includes('<meta property="og:title" content="About Alice">'),
+    true,
+  );
+  assertEquals(
+    html.includes('<meta name="twitter:card" content="summary">'),
+    true,
+  );
+});
+
+Deno.test("renderPage - meta values are escaped once", async () => {
+  const response = await renderPage(
+    "7",
+    { name: `Tom & Jerry "O'Brien"` },
+    mockLog,
+    {},
+  );
+  const html = await response.text();
+
+  const title = "Tom &amp; Jerry &quot;O&#x27;Brien&quot;&#x27;s profile";
+  assertEquals(html.includes(`<title>${title}</title>`), true);
+  assertEquals(
+    html.includes(`<meta property="og:title" content="${title}">`),
+    true,
+  );
+  assertEquals(
+    html.includes('<meta name="description" content="User 7">'),
+    true,
+  );
+});
+
+Deno.test("renderPage - title falls back to the humanized path", async () => {
+  const response = await renderPage("docs/getting-started", {}, mockLog, {});
+  const html = await response.text();
+
+  assertEquals(html.includes("<title>Getting started</title>"), true);
+});
+
+Deno.test("renderPage - directory layout nests inside the main layout", async () => {
+  const response = await renderPage("admin", {}, mockLog, {});
+
+  assertEquals(response.status, 200);
+  const html = await response.text();
+
+  // Outer layout
+  assertEquals(html.startsWith("<!DOCTYPE html>"), true);
+  assertEquals(html.includes("<title>Admin</title>"), true);
+  // Inner admin layout around the page body
+  assertEquals(html.includes('<aside class="admin-nav">'), true);
+  assertEquals(
+    html.indexOf("admin-nav") < html.indexOf("<h1>Admin</h1>"),
+    true,
+  );
+  // Parent declaration is a comment and never rendered
+  assertFalse(html.includes("{{!<"));
+});
+
+Deno.test("renderPage - layout: false renders the body only", async () => {
+  const response = await renderPage("admin/status", {}, mockLog, {});
+
+  assertEquals(response.status, 200);
+  assertEquals(response.headers.get("content-type"), "text/html");
+  assertEquals(
+    (await response.text()).trim(),
+    '<p class="status">Status: ok</p>',
+  );
+});
+
+Deno.test("renderPage - unknown path renders the 404 page", async () => {
+  const response = await renderPage("missing/page", { q: "x" }, mockLog, {});
+
+  assertEquals(response.status, 404);
+  assertEquals(response.headers.get("content-type"), "text/html");
+
+  const html = await response.text();
+  assertEquals(html.includes("<title>Page not found</title>"), true);
+  // Error pages have no canonical URL
+  assertEquals(html.includes('rel="canonical"'), false);
+  assertEquals(html.includes("<code>/missing/page</code>"), true);
+  // get.yaml next to the 404 page is processed
+  assertEquals(html.includes('<a href="/about">About</a>'), true);
+});
+
+Deno.test({
+  name: "renderErrorPage - hides error details outside development mode",
+  ignore: !envGranted,
+  async fn() {
+    const previous = Deno.env.get("DENO_ENV");
+    Deno.env.set("DENO_ENV", "production");
+
+    try {
+      const response = await renderErrorPage({
+        status: 500,
+        path: "broken",
+        error: new Error("Database password is hunter2"),
+        log: mockLog,
+        dataStrategies: {},
+      });
+
+      assertEquals(response.status, 500);
+      const html = await response.text();
+      assertEquals(html.includes("<code>/broken</code>"), true);
+      assertFalse(html.includes("hunter2"));
+    } finally {
+      if (previous === undefined) Deno.env.delete("DENO_ENV");
+      else Deno.env.set("DENO_ENV", previous);
+    }
+  },
+});
+
+Deno.test({
+  name: "renderErrorPage - shows error details in development mode",
+  ignore: !envGranted,
+  async fn() {
+    const previous = Deno.env.get("DENO_ENV");
+    Deno.env.set("DENO_ENV", "development");
+
+    try {
+      const response = await renderErrorPage({
+        status: 500,
+        path: "broken",
+        error: new Error("Template exploded"),
+        log: mockLog,
+        dataStrategies: {},
+      });
+
+      assertEquals(response.status, 500);
+      const html = await response.text();
+      assertEquals(html.includes("Template exploded"), true);
+    } finally {
+      if (previous === undefined) Deno.env.delete("DENO_ENV");
+      else Deno.env.set("DENO_ENV", previous);
+    }
+  },
+});
+
+Deno.test("renderErrorPage - other server errors use the 500 page", async () => {
+  const response = await renderErrorPage({
+    status: 503,
+    path: "busy",
+    log: mockLog,
+    dataStrategies: {},
+  });
+
+  assertEquals(response.status, 503);
+  const html = await response.text();
+  assertEquals(html.includes("Something went wrong"), true);
+  assertEquals(html.includes("(503)"), true);
+});
+
+Deno.test("renderErrorPage - falls back to text without an error page", async () => {
+  const response = await renderErrorPage({
+    status: 418,
+    path: "teapot",
+    error: new Error("Short and stout"),
+    log: mockLog,
+    dataStrategies: {},
+  });
+
+  assertEquals(response.status, 418);
+  const text = await response.text();
+  assertFalse(text.includes("Short and stout"));
+});
+
+Deno.test("reloadTemplates - picks up changed and removed layouts", async () => {
+  const dir = await createTempFiles({
+    "layouts/layout.hbs": "<div>v1</div>{{{body}}}",
+  }, "templates_");
+  const layoutPath = `${dir}/layouts/layout.hbs`;
+  const page = "<p>My name is Alice, I am 45.</p>\n";
+
+  try {
+    await reloadTemplates(dir);
+    let response = await renderPage("with-data", {}, mockLog, {});
+    assertEquals(await response.text(), `<div>v1</div>${page}`);
+
+    await Deno.writeTextFile(layoutPath, "<div>v2</div>{{{body}}}");
+    await reloadTemplates(dir);
+    response = await renderPage("with-data", {}, mockLog, {});
+    assertEquals(await response.text(), `<div>v2</div>${page}`);
+
+    await Deno.remove(layoutPath);
+    await reloadTemplates(dir);
+    response = await renderPage("with-data", {}, mockLog, {});
+    assertEquals(response.status, 500);
+    await response.body.cancel();
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+    await reloadTemplates();
+  }
+});
+
+Deno.test("renderPage - built-in and project helpers in pages", async () => {
+  const response = await renderPage("docs/guide/routing", {}, mockLog, {});
+
+  assertEquals(response.status, 200);
+  const html = await response.text();
+  assertEquals(html.includes("<p>Section guide of the docs</p>"), true);
+  assertEquals(html.includes("<p>2 sections deep</p>"), true);
+});
+
+Deno.test("readPartials - names nested partials by path", async () => {
+  const dir = await Deno.makeTempDir({ prefix: "partials_" });
+  await Deno.mkdir(`${dir}/forms/inputs`, { recursive: true });
+  await Deno.writeTextFile(`${dir}/header.hbs`, "header");
+  await Deno.writeTextFile(`${dir}/forms/input.hbs`, "input");
+  await Deno.writeTextFile(`${dir}/forms/inputs/date.hbs`, "date");
+  await Deno.writeTextFile(`${dir}/forms/notes.txt`, "not a partial");
+
+  try {
+    const partials = await readPartials(dir);
+
+    assertEquals([...partials], [
+      ["forms/input", "input"],
+      ["forms/inputs/date", "date"],
+      ["header", "header"],
+    ]);
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+});
+
+Deno.test("renderPage - namespaced partials and partial blocks", async () => {
+  const response = await renderPage("notes/42", {}, mockLog, {});
+
+  assertEquals(response.status, 200);
+  const html = await response.text();
+  // cards/card wraps the block content
+  assertEquals(
+    html.includes('<h2 class="card-title">Edit this note</h2>'),
+    true,
+  );
+  assertEquals(
+    html.indexOf('<div class="card-body">') < html.indexOf("Update this note"),
+    true,
+  );
+  // forms/field falls back to an input without a block, uses the block with one
+  assertEquals(
+    html.includes('<input type="text" id="title" name="title">'),
+    true,
+  );
+  assertEquals(
+    html.includes('<textarea id="body" name="body" rows="4"></textarea>'),
+    true,
+  );
+});
+
+Deno.test("reloadTemplates - partials never replace a layout", async () => {
+  const dir = await createTempFiles({
+    "layouts/layout.hbs": "<main>{{{body}}}</main>",
+    "partials/layout.hbs": "<p>Not the layout</p>",
+  }, "templates_");
+
+  try {
+    await reloadTemplates(dir);
+    const response = await renderPage("with-data", {}, mockLog, {});
+    const html = await response.text();
+
+    assertEquals(html.startsWith("<main>"), true);
+    assertFalse(html.includes("Not the layout"));
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+    await reloadTemplates();
+  }
+});
+
+Deno.test("renderPage - Markdown pages render inside the layout", async () => {
+  const response = await renderPage("guide", { name: "Ada" }, mockLog, {});
+
+  assertEquals(response.status, 200);
+  const html = await response.text();
+  assertEquals(html.startsWith("<!DOCTYPE html>"), true);
+  // Front matter title is used by the layout and the page
+  assertEquals(html.includes("<title>Writing pages in Markdown</title>"), true);
+  assertEquals(html.includes("<h1>Writing pages in Markdown</h1>"), true);
+  assertEquals(html.includes("<strong>The docs team</strong>"), true);
+  assertEquals(html.includes("<li>Handlebars runs first, so Ada can"), true);
+});
+
+Deno.test("renderPage - Markdown front matter runs fetch_data", async () => {
+  const pageDir = "./pages/markdown-test";
+  await Deno.mkdir(pageDir);
+  await Deno.writeTextFile(
+    `${pageDir}/index.md`,
+    [
+      "---",
+      "layout: false",
+      "fetch_data:",
+      "  type: mock",
+      "  key: items",
+      "---",
+      "{{#each items}}",
+      "- [{{name}}]({{url}})",
+      "{{/each}}",
+      "",
+      "Searched for {{query.q}}",
+    ].join("\n"),
+  );
+  const dataStrategies = {
+    mock: () => [{ name: "One", url: "/one" }, { name: "Two", url: "/two" }],
+  };
+
+  try {
+    await reloadRouteManifest(mockLog);
+
+    let response = await renderPage(
+      "markdown-test",
+      {},
+      mockLog,
+      dataStrategies,
+    );
+    let html = await response.text();
+    assertEquals(html.includes('<li><a href="/one">One</a></li>'), true);
+    assertEquals(html.includes('<li><a href="/two">Two</a></li>'), true);
+
+    // Markdown syntax smuggled in through the query can't create script links
+    response = await renderPage(
+      "markdown-test",
+      { q: "[click](javascript:alert(1))" },
+      mockLog,
+      dataStrategies,
+    );
+    html = await response.text();
+    assertFalse(html.includes("javascript:"));
+  } finally {
+    await Deno.remove(pageDir, { recursive: true });
+    await reloadRouteManifest(mockLog);
+  }
+});
+
+Deno.test("renderPage - Accept: application/json returns the data context", async () => {
+  const req = new Request("http://localhost/with-data", {
+    headers: { accept: "application/json" },
+  });
+  const response = await renderPage("with-data", {}, mockLog, {}, req);
+
+  assertEquals(response.status, 200);
+  assertEquals(response.headers.get("content-type"), "application/json");
+  assertEquals(
+    response.headers.get("vary"),
+    "Accept, HX-Request, Accept-Language, Cookie",
+  );
+  assertEquals(await response.json(), {
+    name: "Alice",
+    age: 45,
+    meta: { title: "About Alice", description: "Alice is 45 years old." },
+    params: {},
+    query: {},
+    locale: "en",
+  });
+});
+
+Deno.test("renderPage - _format=json and JSON errors", async () => {
+  let response = await renderPage("about", { _format: "json" }, mockLog, {});
+  assertEquals(response.headers.get("content-type"), "application/json");
+  assertEquals((await response.json()).query, { _format: "json" });
+
+  // Browsers prefer HTML
+  const req = new Request("http://localhost/about", {
+    headers: { accept: "text/html,application/json;q=0.9,*/*;q=0.8" },
+  });
+  response = await renderPage("about", {}, mockLog, {}, req);
+  assertEquals(response.headers.get("content-type"), "text/html");
+  await response.body.cancel();
+
+  response = await renderPage("missing/page", { _format: "json" }, mockLog, {});
+  assertEquals(response.status, 404);
+  assertEquals(await response.json(), { error: "Page not found", status: 404 });
+});
+
+Deno.test("renderPage - json setting opts out or hides private keys", async () => {
+  const privateDir = "./pages/json-private-test";
+  const hiddenDir = "./pages/json-hidden-test";
+  await Deno.mkdir(privateDir);
+  await Deno.mkdir(hiddenDir);
+  await Deno.writeTextFile(`${privateDir}/index.html`, "<p>Private</p>");
+  await Deno.writeTextFile(`${privateDir}/get.yaml`, "json: false");
+  await Deno.writeTextFile(`${hiddenDir}/index.html`, "<p>{{user.name}}</p>");
+  await Deno.writeTextFile(
+    `${hiddenDir}/get.yaml`,
+    [
+      "layout: false",
+      "api_key: secret",
+      "user:",
+      "  name: Ada",
+      "  email: ada@example.com",
+      "json:",
+      "  exclude: [api_key, user.email]",
+    ].join("\n"),
+  );
+
+  try {
+    await reloadRouteManifest(mockLog);
+
+    let response = await renderPage(
+      "json-private-test",
+      { _format: "json" },
+      mockLog,
+      {},
+    );
+    assertEquals(response.status, 406);
+    assertEquals((await response.json()).error, "Not acceptable");
+
+    // HTML is unaffected
+    response = await renderPage("json-private-test", {}, mockLog, {});
+    assertEquals(response.status, 200);
+    await response.body.cancel();
+
+    response = await renderPage(
+      "json-hidden-test",
+      { _format: "json" },
+      mockLog,
+      {},
+    );
+    assertEquals(await response.json(), {
+      user: { name: "Ada" },
+      params: {},
+      query: { _format: "json" },
+      locale: "en",
+    });
+
+    response = await renderPage("json-hidden-test", {}, mockLog, {});
+    assertEquals(await response.text(), "<p>Ada</p>");
+  } finally {
+    await Deno.remove(privateDir, { recursive: true });
+    await Deno.remove(hiddenDir, { recursive: true });
+    await reloadRouteManifest(mockLog);
+  }
+});
+
+Deno.test("renderPage - htmx requests get the page without its layout", async () => {
+  let req = new Request("http://localhost/with-data", {
+    headers: { "hx-request": "true" },
+  });
+  let response = await renderPage("with-data", {}, mockLog, {}, req);
+
+  assertEquals(response.status, 200);
+  assertEquals(
+    response.headers.get("vary"),
+    "Accept, HX-Request, Accept-Language, Cookie",
+  );
+  assertEquals(
+    (await response.text()).trim(),
+    "<p>My name is Alice, I am 45.</p>",
+  );
+
+  // Boosted navigation swaps the whole page
+  req = new Request("http://localhost/with-data", {
+    headers: { "hx-request": "true", "hx-boosted": "true" },
+  });
+  response = await renderPage("with-data", {}, mockLog, {}, req);
+  assertEquals((await response.text()).startsWith("<!DOCTYPE html>"), true);
+});
+
+Deno.test("renderPage - _fragment renders one block or partial", async () => {
+  const pageDir = "./pages/fragment-test";
+  await Deno.mkdir(pageDir);
+  await Deno.writeTextFile(
+    `${pageDir}/index.html`,
+    [
+      "<h1>Search</h1>",
+      '<ul id="results">',
+      '{{#fragment "results"}}{{#each items}}<li>{{this}}</li>{{/each}}{{/fragment}}',
+      "</ul>",
+    ].join("\n"),
+  );
+  await Deno.writeTextFile(`${pageDir}/get.yaml`, "items: [one, two]");
+
+  try {
+    await reloadRouteManifest(mockLog);
+
+    let response = await renderPage(
+      "fragment-test",
+      { _fragment: "results" },
+      mockLog,
+      {},
+    );
+    assertEquals(response.status, 200);
+    assertEquals(await response.text(), "<li>one</li><li>two</li>");
+
+    // The full page still renders the block in place
+    response = await renderPage("fragment-test", {}, mockLog, {});
+    assertEquals(
+      (await response.text()).includes(
+        '<ul id="results">\n<li>one</li><li>two</li>\n</ul>',
+      ),
+      true,
+    );
+
+    // Partials work as fragments, layouts don't
+    response = await renderPage(
+      "fragment-test",
+      { _fragment: "forms/field", name: "q" },
+      mockLog,
+      {},
+    );
+    assertEquals(
+      (await response.text()).includes('<div class="form-group">'),
+      true,
+    );
+
+    for (const fragment of ["missing", "layout", "bad name}}"]) {
+      response = await renderPage(
+        "fragment-test",
+        { _fragment: fragment },
+        mockLog,
+        {},
+      );
+      assertEquals(response.status, 404);
+      await response.body.cancel();
+    }
+  } finally {
+    await Deno.remove(pageDir, { recursive: true });
+    await reloadRouteManifest(mockLog);
+  }
+});
+
+Deno.test("renderPage - locale from URL prefix, cookie or Accept-Language", async () => {
+  let response = await renderPage("fr/about", {}, mockLog, {});
+  assertEquals(response.status, 200);
+  let html = await response.text();
+  assertEquals(html.includes('<html lang="fr">'), true);
+  assertEquals(html.includes('<a href="/about">À propos</a>'), true);
+  // The prefix is kept in the canonical URL
+  assertEquals(html.includes('<link rel="canonical" href="/fr/about">'), true);
+
+  response = await renderPage(
+    "",
+    {},
+    mockLog,
+    {},
+    new Request("http://localhost/", {
+      headers: { "accept-language": "de-CH, en;q=0.5" },
+    }),
+  );
+  html = await response.text();
+  assertEquals(html.includes("<h1>Willkommen beim Deno-Webserver</h1>"), true);
+  assertEquals(
+    html.includes("<p>Diese Seite gibt es in 3 Sprachen.</p>"),
+    true,
+  );
+
+  response = await renderPage(
+    "",
+    {},
+    mockLog,
+    {},
+    new Request("http://localhost/", { headers: { cookie: "locale=fr" } }),
+  );
+  html = await response.text();
+  assertEquals(html.includes("<p>© 2026 Serveur web Deno</p>"), true);
+
+  // English stays the default
+  response = await renderPage("", {}, mockLog, {});
+  html = await response.text();
+  assertEquals(html.includes('<html lang="en">'), true);
+  assertEquals(html.includes("<h1>Welcome to Deno Web Server</h1>"), true);
+});
+
+Deno.test("renderPage - on_error: fail answers with 502", async () => {
+  const pageDir = "./pages/upstream-test";
+  await Deno.mkdir(pageDir);
+  await Deno.writeTextFile(
+    `${pageDir}/index.html`,
+    "{{#if errors.stats}}<p>No stats: {{errors.stats.message}}</p>{{/if}}",
+  );
+  await Deno.writeTextFile(
+    `${pageDir}/get.yaml`,
+    [
+      "fetch_data:",
+      "  - type: broken",
+      "    key: user",
+      '    on_error: "{{#if query.required}}fail{{else}}ignore{{/if}}"',
+      "  - type: broken",
+      "    key: stats",
+    ].join("\n"),
+  );
+  const dataStrategies = {
+    broken: () => {
+      throw new Error("Upstream is down");
+    },
+  };
+
+  try {
+    await reloadRouteManifest(mockLog);
+
+    let response = await renderPage(
+      "upstream-test",
+      {},
+      mockLog,
+      dataStrategies,
+    );
+    assertEquals(response.status, 200);
+    // Upstream error messages stay private outside development mode
+    const html = await response.text();
+    assertEquals(html.includes("No stats: "), true);
+    assertFalse(html.includes("Upstream is down"));
+
+    response = await renderPage(
+      "upstream-test",
+      { required: "1" },
+      mockLog,
+      dataStrategies,
+    );
+    assertEquals(response.status, 502);
+    assertEquals(
+      (await response.text()).includes("Something went wrong"),
+      true,
+    );
+
+    response = await renderPage(
+      "upstream-test",
+      { required: "1", _format: "json" },
+      mockLog,
+      dataStrategies,
+    );
+    assertEquals(response.status, 502);
+    assertEquals((await response.json()).status, 502);
+  } finally {
+    await Deno.remove(pageDir, { recursive: true });
+    await reloadRouteManifest(mockLog);
+  }
+});
@@ -1,8 +1,9 @@
 // Request strategy implementation
 /**
  * @typedef {Object} RequestContext
- * @property {Record<string, string>} params - URL parameters
+ * @property {import("./route_manifest.js").RouteMatch['params']} params - URL parameters
  * @property {Record<string, string>} query - Query parameters
+ * @property {AbortSignal} [signal] - Aborts the request, e.g. on timeout
  */
 
 /**
@@ -16,9 +17,10 @@
 /**
  * Execute HTTP request strategy
  * @param {RequestConfig} config - Request configuration
+ * @param {RequestContext} [context] - Request context
  * @returns {Promise<any>} Response data
  */
-export async function requestStrategy(config) {
+export async function requestStrategy(config, context) {
   const { url, method = "GET", headers = {}, body } = config;
 
   console.log(`[RequestStrategy] Fetching data from: ${url}`);
@@ -27,6 +29,7 @@ export async function requestStrategy(config) {
   const requestOptions = {
     method: method.toUpperCase(),
     headers: headers,
+    signal: context?.signal,
   };
 
   // Process body if present
@@ -0,0 +1,694 @@
+import { parse } from "./deps.ts";
+import { splitFrontMatter } from "./markdown.js";
+import { extractYamlBlock } from "./yaml_block.js";
+
+/**
+ * @typedef {Object} RouteSegment
+ * @property {'static'|'param'|'optional'|'catchall'|'optional-catchall'} type - Segment kind
+ * @property {string} value - Directory name for static segments, parameter name otherwise
+ * @property {ParamConstraint} [constraint] - Rule captured values must satisfy
+ */
+
+/**
+ * @typedef {Object} ParamConstraint
+ * @property {'int'|'number'|'bool'|'string'} [type] - Type values are coerced to
+ * @property {string} [pattern] - Regular expression the whole raw value must match
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {string} pattern - Directory path relative to the pages root
+ * @property {RouteSegment[]} segments - Parsed path segments
+ * @property {string} pagePath - Path to the index.html or index.md file
+ * @property {'html'|'markdown'} format - Page format, from the file extension
+ * @property {boolean} hasGetYaml - Whether get.yaml exists next to the page
+ * @property {string[]} methods - Write methods with a YAML handler (post.yaml, put.yaml, ...)
+ * @property {string|false} [layout] - Layout inherited from `_layout.yaml` files
+ */
+
+/**
+ * @typedef {Object} RouteConflict
+ * @property {string} signature - Shape shared by the conflicting routes
+ * @property {string[]} patterns - Directories resolving to the same shape
+ */
+
+/**
+ * @typedef {Object} InvalidPattern
+ * @property {string} pattern - Directory of the route
+ * @property {string} regex - Parameter pattern that doesn't compile
+ */
+
+/**
+ * @typedef {Object} RouteManifest
+ * @property {string} rootDir - Pages root directory
+ * @property {Route[]} routes - All routes, most specific first
+ * @property {Map<string, Route>} staticRoutes - Routes without params by pattern
+ * @property {RouteConflict[]} conflicts - Routes that cannot be told apart
+ * @property {InvalidPattern[]} invalidPatterns - Parameter patterns that
+ *   aren't valid regular expressions, their routes never match
+ * @property {Record<number, Route>} errorPages - `_404`, `_500`, ... pages by status
+ */
+
+/**
+ * @typedef {Object} RouteMatch
+ * @property {Route} route - Matched route
+ * @property {Record<string, ParamValue|ParamValue[]>} params - Extracted URL parameters
+ */
+
+/** @typedef {string|number|boolean} ParamValue */
+
+const PAGES_DIR = "./pages";
+
+// Rebuilds triggered by the watcher are delayed so a burst of file events
+// (editor save, git checkout) results in a single walk of the pages tree
+const REBUILD_DELAY_MS = 100;
+
+// Request methods that can be handled by a `<method>.yaml` file
+const HANDLER_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Specificity of each segment kind, lower wins. A constrained parameter
+// beats an unconstrained one of the same kind (see segmentRank)
+const SEGMENT_RANK = {
+  "static": 0,
+  "param": 1,
+  "optional": 2,
+  "catchall": 3,
+  "optional-catchall": 4,
+};
+
+// Built-in parameter types: the raw value must match `test` and is then
+// converted with `coerce`
+const PARAM_TYPES = {
+  "int": { test: /^-?\d+$/, coerce: Number },
+  "number": { test: /^-?\d+(\.\d+)?$/, coerce: Number },
+  "bool": {
+    test: /^(true|false|1|0)$/,
+    coerce: (value) => value === "true" || value === "1",
+  },
+  "string": { test: /^/, coerce: String },
+};
+
+// Compiled constraint patterns, an invalid pattern is cached as null
+/** @type {Map<string, RegExp|null>} */
+const compiledPatterns = new Map();
+
+// How each segment kind appears in a route signature
+const SEGMENT_SIGNATURE = {
+  "param": ":param",
+  "optional": ":param?",
+  "catchall": "*",
+  "optional-catchall": "*?",
+};
+
+/** @type {Map<string, Promise<RouteManifest>>} */
+const manifests = new Map();
+
+/**
+ * Parse a directory name into a route segment
+ *
+ * - `[name]` matches exactly one segment
+ * - `[[name]]` matches zero or one segment
+ * - `[...name]` matches one or more segments, captured as an array
+ * - `[[...name]]` matches zero or more segments, captured as an array
+ *
+ * A parameter name may be followed by a constraint: `[id:int]`,
+ * `[price:number]`, `[flag:bool]` or a regular expression such as
+ * `[slug:[a-z0-9-]+]`.
+ *
+ * @param {string} name - Directory name
+ * @returns {RouteSegment} Route segment
+ */
+function parseSegment(name) {
+  if (name.startsWith("[[") && name.endsWith("]]")) {
+    const inner = name.slice(2, -2);
+    return inner.startsWith("...")
+      ? paramSegment("optional-catchall", inner.slice(3))
+      : paramSegment("optional", inner);
+  }
+  if (name.startsWith("[") && name.endsWith("]")) {
+    const inner = name.slice(1, -1);
+    return inner.startsWith("...")
+      ? paramSegment("catchall", inner.slice(3))
+      : paramSegment("param", inner);
+  }
+  return { type: "static", value: name };
+}
+
+/**
+ * Build a parameter segment, splitting off an inline constraint
+ * @param {RouteSegment['type']} type - Segment kind
+ * @param {string} inner - Bracket contents, e.g. `id` or `id:int`
+ * @returns {RouteSegment} Route segment
+ */
+function paramSegment(type, inner) {
+  const separator = inner.indexOf(":");
+  if (separator === -1) return { type, value: inner };
+
+  const spec = inner.slice(separator + 1);
+  return {
+    type,
+    value: inner.slice(0, separator),
+    constraint: spec in PARAM_TYPES ? { type: spec } : { pattern: spec },
+  };
+}
+
+/**
+ * Normalize one entry of a `params:` schema
+ * @param {unknown} entry - `int` or `{ type: int, pattern: ... }`
+ * @returns {ParamConstraint|undefined} Constraint or undefined if invalid
+ */
+function normalizeConstraint(entry) {
+  const { type, pattern } = typeof entry === "string"
+    ? { type: entry }
+    : entry ?? {};
+  const constraint = {};
+  if (type in PARAM_TYPES) constraint.type = type;
+  if (typeof pattern === "string") constraint.pattern = pattern;
+  return Object.keys(constraint).length > 0 ? constraint : undefined;
+}
+
+/**
+ * Read the YAML that provides a page's data: the front matter of a Markdown
+ * page, or else its `get.yaml`
+ * @param {string} dir - Page directory
+ * @param {'html'|'markdown'} format - Page format
+ * @returns {Promise<string|null>} YAML source or null
+ */
+export async function readPageYaml(dir, format) {
+  try {
+    if (format === "markdown") {
+      const { frontMatter } = splitFrontMatter(
+        await Deno.readTextFile(`${dir}/index.md`),
+      );
+      if (frontMatter !== null) return frontMatter;
+    }
+    return await Deno.readTextFile(`${dir}/get.yaml`);
+  } catch {
+    // No get.yaml
+    return null;
+  }
+}
+
+/**
+ * Read the `params:` schema of a page's `get.yaml` or front matter
+ *
+ * get.yaml is a Handlebars template that only becomes valid YAML once it is
+ * rendered, so only the top-level `params:` block is parsed here.
+ *
+ * @param {string} dir - Page directory
+ * @param {'html'|'markdown'} format - Page format
+ * @returns {Promise<Record<string, ParamConstraint>>} Constraints by name
+ */
+async function readParamSchema(dir, format) {
+  const { block } = extractYamlBlock(
+    await readPageYaml(dir, format) ?? "",
+    "params",
+  );
+  if (!block) return {};
+
+  let schema;
+  try {
+    schema = parse(block)?.params;
+  } catch {
+    return {};
+  }
+
+  const constraints = {};
+  for (const [name, entry] of Object.entries(schema ?? {})) {
+    const constraint = normalizeConstraint(entry);
+    if (constraint) constraints[name] = constraint;
+  }
+  return constraints;
+}
+
+/**
+ * Compile a constraint pattern, anchored to the whole segment
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} Regular expression, null when the pattern is invalid
+ */
+function compileConstraintPattern(pattern) {
+  if (!compiledPatterns.has(pattern)) {
+    let regex = null;
+    try {
+      regex = new RegExp(`^(?:${pattern})$`);
+    } catch {
+      // Reported while building the manifest, see findInvalidPatterns
+    }
+    compiledPatterns.set(pattern, regex);
+  }
+  return compiledPatterns.get(pattern);
+}
+
+/**
+ * List the parameter patterns of a route or redirect that don't compile
+ * @param {RouteSegment[]} segments - Route segments
+ * @returns {string[]} Invalid patterns
+ */
+export function findInvalidPatterns(segments) {
+  return segments
+    .map((segment) => segment.constraint?.pattern)
+    .filter((pattern) =>
+      pattern !== undefined && compileConstraintPattern(pattern) === null
+    );
+}
+
+/**
+ * Check a raw parameter value against a constraint and coerce it
+ * @param {ParamConstraint|undefined} constraint - Segment constraint
+ * @param {string} value - Raw, decoded URL segment
+ * @returns {ParamValue|undefined} Coerced value or undefined if it doesn't match
+ */
+function coerceParam(constraint, value) {
+  if (!constraint) return value;
+
+  if (
+    constraint.pattern !== undefined &&
+    !compileConstraintPattern(constraint.pattern)?.test(value)
+  ) {
+    return undefined;
+  }
+
+  const type = PARAM_TYPES[constraint.type];
+  if (!type) return value;
+  return type.test.test(value) ? type.coerce(value) : undefined;
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} path - File path
+ * @returns {Promise<boolean>} Whether the file exists
+ */
+async function fileExists(path) {
+  try {
+    const stat = await Deno.stat(path);
+    return stat.isFile;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the layout setting of a directory's `_layout.yaml`
+ * @param {string} dir - Page directory
+ * @returns {Promise<string|false|undefined>} Layout name, false for no layout
+ */
+async function readLayoutSetting(dir) {
+  try {
+    const settings = parse(await Deno.readTextFile(`${dir}/_layout.yaml`));
+    const layout = settings?.layout;
+    return typeof layout === "string" || layout === false ? layout : undefined;
+  } catch {
+    // No _layout.yaml or invalid YAML
+    return undefined;
+  }
+}
+
+/**
+ * Compile a page directory into a route
+ * @param {string} dir - Page directory
+ * @param {string[]} names - Directory names relative to the pages root
+ * @param {string|false} [layout] - Layout inherited from parent directories
+ * @returns {Promise<Route|null>} Route or null if there is no index.html or
+ *   index.md
+ */
+async function compileRoute(dir, names, layout) {
+  // index.html wins when a directory has both
+  let pagePath = `${dir}/index.html`;
+  let format = "html";
+  if (!(await fileExists(pagePath))) {
+    pagePath = `${dir}/index.md`;
+    format = "markdown";
+    if (!(await fileExists(pagePath))) return null;
+  }
+
+  const methods = [];
+  for (const method of HANDLER_METHODS) {
+    if (await fileExists(`${dir}/${method.toLowerCase()}.yaml`)) {
+      methods.push(method);
+    }
+  }
+
+  // Inline constraints win over the get.yaml schema
+  const schema = await readParamSchema(dir, format);
+  const segments = names.map(parseSegment).map((segment) => {
+    const constraint = segment.type !== "static" &&
+      (segment.constraint ?? schema[segment.value]);
+    return constraint ? { ...segment, constraint } : segment;
+  });
+
+  return {
+    pattern: names.join("/"),
+    segments,
+    pagePath,
+    format,
+    hasGetYaml: await fileExists(`${dir}/get.yaml`),
+    methods,
+    layout,
+  };
+}
+
+/**
+ * Walk the pages directory and compile every page into a route
+ *
+ * Directories starting with `_` are not routable. At the root, `_404`,
+ * `_500` and other `_<status>` directories are compiled as error pages.
+ * A `_layout.yaml` file sets the default layout of its directory and every
+ * directory below it.
+ *
+ * @param {string} [rootDir] - Pages root directory
+ * @returns {Promise<RouteManifest>} Compiled route manifest
+ */
+export async function buildRouteManifest(rootDir = PAGES_DIR) {
+  /** @type {Route[]} */
+  const routes = [];
+  /** @type {Record<number, Route>} */
+  const errorPages = {};
+
+  async function walk(dir, names, inheritedLayout) {
+    const layout = (await readLayoutSetting(dir)) ?? inheritedLayout;
+    const route = await compileRoute(dir, names, layout);
+    if (route) routes.push(route);
+
+    const subdirs = [];
+    try {
+      for await (const entry of Deno.readDir(dir)) {
+        if (entry.isDirectory) subdirs.push(entry.name);
+      }
+    } catch {
+      // Directory doesn't exist or isn't readable
+    }
+
+    // Walk in name order so the manifest never depends on readDir order
+    for (const name of subdirs.sort()) {
+      if (name.startsWith("_")) {
+        const status = names.length === 0 && name.match(/^_(\d{3})$/)?.[1];
+        const errorPage = status &&
+          await compileRoute(`${dir}/${name}`, [name], layout);
+        if (errorPage) errorPages[Number(status)] = errorPage;
+        continue;
+      }
+      await walk(`${dir}/${name}`, [...names, name], layout);
+    }
+  }
+
+  await walk(rootDir, [], undefined);
+  routes.sort(compareRoutes);
+
+  const staticRoutes = new Map();
+  for (const route of routes) {
+    if (route.segments.every((segment) => segment.type === "static")) {
+      staticRoutes.set(route.pattern, route);
+    }
+  }
+
+  return {
+    rootDir,
+    routes,
+    staticRoutes,
+    conflicts: findConflicts(routes),
+    invalidPatterns: routes.flatMap((route) =>
+      findInvalidPatterns(route.segments).map((regex) => ({
+        pattern: route.pattern,
+        regex,
+      }))
+    ),
+    errorPages,
+  };
+}
+
+/**
+ * Order routes from most to least specific
+ *
+ * Routes are compared segment by segment from the left: a static segment
+ * beats `[param]`, which beats `[[optional]]`, which beats `[...catchall]`,
+ * which beats `[[...optional]]`. Within a kind, a constrained parameter beats
+ * an unconstrained one. When one route is a prefix of the other the longer
+ * route wins, and remaining ties are broken by directory name.
+ *
+ * @param {Route} a - First route
+ * @param {Route} b - Second route
+ * @returns {number} Negative if `a` is more specific than `b`
+ */
+export function compareRoutes(a, b) {
+  const length = Math.min(a.segments.length, b.segments.length);
+  for (let i = 0; i < length; i++) {
+    const diff = segmentRank(a.segments[i]) - segmentRank(b.segments[i]);
+    if (diff !== 0) return diff;
+  }
+
+  if (a.segments.length !== b.segments.length) {
+    return b.segments.length - a.segments.length;
+  }
+
+  if (a.pattern === b.pattern) return 0;
+  return a.pattern < b.pattern ? -1 : 1;
+}
+
+/**
+ * Specificity of a segment, lower wins
+ * @param {RouteSegment} segment - Route segment
+ * @returns {number} Rank
+ */
+function segmentRank(segment) {
+  return SEGMENT_RANK[segment.type] * 2 + (segment.constraint ? 0 : 1);
+}
+
+/**
+ * Describe a segment constraint in a route signature
+ * @param {ParamConstraint} [constraint] - Segment constraint
+ * @returns {string} e.g. `(int)`, `(/[a-z]+/)` or an empty string
+ */
+function constraintSignature(constraint) {
+  if (!constraint) return "";
+  const parts = [];
+  if (constraint.type) parts.push(constraint.type);
+  if (constraint.pattern !== undefined) parts.push(`/${constraint.pattern}/`);
+  return `(${parts.join(" ")})`;
+}
+
+/**
+ * Describe the URL shape a route matches, ignoring parameter names
+ * @param {Route} route - Route
+ * @returns {string} Route signature, e.g. `/users/:param`
+ */
+function routeSignature(route) {
+  return "/" + route.segments
+    .map((segment) =>
+      segment.type === "static"
+        ? segment.value
+        : SEGMENT_SIGNATURE[segment.type] +
+          constraintSignature(segment.constraint)
+    )
+    .join("/");
+}
+
+/**
+ * Find routes that resolve to the same URL shape
+ * @param {Route[]} routes - Compiled routes
+ * @returns {RouteConflict[]} Conflicting route groups
+ */
+function findConflicts(routes) {
+  const bySignature = new Map();
+  for (const route of routes) {
+    const signature = routeSignature(route);
+    const patterns = bySignature.get(signature) ?? [];
+    patterns.push(route.pattern);
+    bySignature.set(signature, patterns);
+  }
+
+  const conflicts = [];
+  for (const [signature, patterns] of bySignature) {
+    if (patterns.length > 1) conflicts.push({ signature, patterns });
+  }
+  return conflicts;
+}
+
+/**
+ * Match a URL path against a route's segments
+ * @param {RouteSegment[]} segments - Route segments
+ * @param {string[]} pathSegments - URL path segments
+ * @param {RouteMatch['params']} [params] - Parameters captured so far
+ * @returns {RouteMatch['params']|null} Extracted parameters or null
+ */
+function matchSegments(segments, pathSegments, params = {}) {
+  if (segments.length === 0) {
+    return pathSegments.length === 0 ? params : null;
+  }
+
+  const [segment, ...remainingSegments] = segments;
+  const [rawValue, ...remainingPath] = pathSegments;
+  // Undefined when the path is exhausted or the value fails the constraint
+  const value = rawValue === undefined || segment.type === "static"
+    ? rawValue
+    : coerceParam(segment.constraint, rawValue);
+
+  switch (segment.type) {
+    case "static":
+      return value === segment.value
+        ? matchSegments(remainingSegments, remainingPath, params)
+        : null;
+
+    case "param":
+      return value !== undefined
+        ? matchSegments(remainingSegments, remainingPath, {
+          ...params,
+          [segment.value]: value,
+        })
+        : null;
+
+    case "optional": {
+      // Prefer consuming the segment, fall back to skipping it
+      if (value !== undefined) {
+        const result = matchSegments(remainingSegments, remainingPath, {
+          ...params,
+          [segment.value]: value,
+        });
+        if (result) return result;
+      }
+      return matchSegments(remainingSegments, pathSegments, params);
+    }
+
+    case "catchall":
+    case "optional-catchall": {
+      // Greedy: capture as many segments as the rest of the route allows,
+      // every captured segment has to satisfy the constraint
+      const min = segment.type === "catchall" ? 1 : 0;
+      const coerced = [];
+      for (const pathSegment of pathSegments) {
+        const item = coerceParam(segment.constraint, pathSegment);
+        if (item === undefined) break;
+        coerced.push(item);
+      }
+      for (let count = coerced.length; count >= min; count--) {
+        const captured = coerced.slice(0, count);
+        const result = matchSegments(
+          remainingSegments,
+          pathSegments.slice(count),
+          count > 0 ? { ...params, [segment.value]: captured } : params,
+        );
+        if (result) return result;
+      }
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compile a path pattern using the same syntax as page directories
+ * @param {string} pattern - Pattern such as `/blog/[slug]` or `/docs/[...path]`
+ * @returns {RouteSegment[]} Route segments
+ */
+export function compilePattern(pattern) {
+  return pattern.split("/").filter(Boolean).map(parseSegment);
+}
+
+/**
+ * Match decoded URL path segments against a compiled pattern
+ * @param {RouteSegment[]} segments - Segments from `compilePattern()`
+ * @param {string[]} pathSegments - Decoded URL path segments
+ * @returns {RouteMatch['params']|null} Extracted parameters or null
+ */
+export function matchPattern(segments, pathSegments) {
+  return matchSegments(segments, pathSegments);
+}
+
+/**
+ * Find the route matching a URL path
+ * @param {RouteManifest} manifest - Compiled route manifest
+ * @param {string} path - URL path without leading slash
+ * @returns {RouteMatch|null} Matched route with parameters or null
+ */
+export function matchRoute(manifest, path) {
+  const pathSegments = path.split("/").filter(Boolean);
+
+  // Static routes are the most specific, everything else is tried in order
+  const staticRoute = manifest.staticRoutes.get(pathSegments.join("/"));
+  if (staticRoute) {
+    return { route: staticRoute, params: {} };
+  }
+
+  for (const route of manifest.routes) {
+    const params = matchSegments(route.segments, pathSegments);
+    if (params) return { route, params };
+  }
+
+  return null;
+}
+
+/**
+ * Get the route manifest, building it on first use
+ * @param {string} [rootDir] - Pages root directory
+ * @returns {Promise<RouteManifest>} Compiled route manifest
+ */
+export function getRouteManifest(rootDir = PAGES_DIR) {
+  if (!manifests.has(rootDir)) {
+    manifests.set(rootDir, buildRouteManifest(rootDir));
+  }
+  return manifests.get(rootDir);
+}
+
+/**
+ * Rebuild the route manifest from disk
+ * @param {Function} log - Logging function
+ * @param {string} [rootDir] - Pages root directory
+ * @returns {Promise<RouteManifest>} Freshly compiled route manifest
+ */
+export async function reloadRouteManifest(log, rootDir = PAGES_DIR) {
+  const manifest = buildRouteManifest(rootDir);
+  manifests.set(rootDir, manifest);
+
+  const { routes, conflicts, invalidPatterns } = await manifest;
+  log({
+    level: "info",
+    message: `Built route manifest`,
+    data: { rootDir, routeCount: routes.length },
+  });
+
+  for (const { signature, patterns } of conflicts) {
+    log({
+      level: "error",
+      message: `Route conflict: ${patterns.join(", ")} all match ${signature}`,
+      data: { rootDir, signature, patterns: patterns.join(", ") },
+    });
+  }
+
+  for (const { pattern, regex } of invalidPatterns) {
+    log({
+      level: "error",
+      message: `Invalid route parameter pattern in ${pattern}: ${regex}`,
+      data: { rootDir, pattern, regex },
+    });
+  }
+
+  return manifest;
+}
+
+/**
+ * Rebuild the route manifest whenever files under the pages root change
+ * @param {Function} log - Logging function
+ * @param {string} [rootDir] - Pages root directory
+ * @returns {Deno.FsWatcher} Watcher, close it to stop watching
+ */
+export function watchRouteManifest(log, rootDir = PAGES_DIR) {
+  const watcher = Deno.watchFs(rootDir);
+  let timer;
+
+  (async () => {
+    for await (const event of watcher) {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        log({
+          level: "info",
+          message: `Pages changed, rebuilding route manifest`,
+          data: { kind: event.kind },
+        });
+        reloadRouteManifest(log, rootDir);
+      }, REBUILD_DELAY_MS);
+    }
+    clearTimeout(timer);
+  })();
+
+  return watcher;
+}
@@ -0,0 +1,600 @@
+import {
+  assertEquals,
+  assertExists,
+  assertFalse,
+} from "https://deno.land/std@0.207.0/assert/mod.ts";
+import {
+  buildRouteManifest,
+  compareRoutes,
+  getRouteManifest,
+  matchRoute,
+  reloadRouteManifest,
+  watchRouteManifest,
+} from "./route_manifest.js";
+import { createTempFiles } from "./test_helpers.js";
+
+// Mock logging function
+const mockLog = () => {};
+
+Deno.test("buildRouteManifest - compiles static and param routes", async () => {
+  const rootDir = await createTempFiles({
+    "index.html": "home",
+    "about/index.html": "about",
+    "[userId]/index.html": "user",
+    "[userId]/get.yaml": "value: 1",
+    "form/index.html": "form",
+    "form/post.yaml": "ok: true",
+    "items/[id]/index.html": "item",
+    "items/[id]/put.yaml": "ok: true",
+    "items/[id]/patch.yaml": "ok: true",
+    "items/[id]/delete.yaml": "ok: true",
+    "empty/readme.txt": "not a page",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+    const patterns = manifest.routes.map((route) => route.pattern).sort();
+    assertEquals(patterns, ["", "[userId]", "about", "form", "items/[id]"]);
+
+    const user = manifest.routes.find((route) => route.pattern === "[userId]");
+    assertEquals(user.segments, [{ type: "param", value: "userId" }]);
+    assertEquals(user.pagePath, `${rootDir}/[userId]/index.html`);
+    assertEquals(user.hasGetYaml, true);
+    assertEquals(user.methods, []);
+
+    const form = manifest.routes.find((route) => route.pattern === "form");
+    assertEquals(form.hasGetYaml, false);
+    assertEquals(form.methods, ["POST"]);
+
+    const item = manifest.routes.find((route) =>
+      route.pattern === "items/[id]"
+    );
+    assertEquals(item.methods, ["PUT", "PATCH", "DELETE"]);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("matchRoute - static routes win over params", async () => {
+  const rootDir = await createTempFiles({
+    "[userId]/index.html": "user",
+    "about/index.html": "about",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    const about = matchRoute(manifest, "about");
+    assertEquals(about.route.pattern, "about");
+    assertEquals(about.params, {});
+
+    const user = matchRoute(manifest, "123");
+    assertEquals(user.route.pattern, "[userId]");
+    assertEquals(user.params, { userId: "123" });
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("matchRoute - nested params and slashes", async () => {
+  const rootDir = await createTempFiles({
+    "test/[id1]/x/[id2]/index.html": "nested",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    const match = matchRoute(manifest, "/test/abc/x/def/");
+    assertExists(match);
+    assertEquals(match.params, { id1: "abc", id2: "def" });
+
+    assertEquals(matchRoute(manifest, "test/abc/y/def"), null);
+    assertEquals(matchRoute(manifest, "test/abc/x"), null);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("matchRoute - catch-all segments capture an array", async () => {
+  const rootDir = await createTempFiles({
+    "docs/[...slug]/index.html": "docs",
+    "files/[...path]/raw/index.html": "raw",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    const docs = matchRoute(manifest, "docs/a/b/c");
+    assertEquals(docs.route.pattern, "docs/[...slug]");
+    assertEquals(docs.params, { slug: ["a", "b", "c"] });
+
+    const single = matchRoute(manifest, "docs/intro");
+    assertEquals(single.params, { slug: ["intro"] });
+
+    // Catch-all needs at least one segment
+    assertEquals(matchRoute(manifest, "docs"), null);
+
+    // Segments after the catch-all still have to match
+    const raw = matchRoute(manifest, "files/src/lib/mod.js/raw");
+    assertEquals(raw.params, { path: ["src", "lib", "mod.js"] });
+    assertEquals(matchRoute(manifest, "files/raw"), null);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("matchRoute - optional segments", async () => {
+  const rootDir = await createTempFiles({
+    "[[lang]]/about/index.html": "about",
+    "blog/[[...slug]]/index.html": "blog",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    assertEquals(matchRoute(manifest, "fr/about").params, { lang: "fr" });
+    assertEquals(matchRoute(manifest, "about").params, {});
+    assertEquals(matchRoute(manifest, "fr/de/about"), null);
+
+    assertEquals(matchRoute(manifest, "blog").params, {});
+    assertEquals(matchRoute(manifest, "blog/2024/05").params, {
+      slug: ["2024", "05"],
+    });
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("buildRouteManifest - parses segment kinds", async () => {
+  const rootDir = await createTempFiles({
+    "a/[id]/[[lang]]/[...rest]/index.html": "deep",
+    "b/[[...all]]/index.html": "all",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+    const deep = manifest.routes.find((route) => route.pattern.startsWith("a"));
+    assertEquals(deep.segments, [
+      { type: "static", value: "a" },
+      { type: "param", value: "id" },
+      { type: "optional", value: "lang" },
+      { type: "catchall", value: "rest" },
+    ]);
+    const all = manifest.routes.find((route) => route.pattern.startsWith("b"));
+    assertEquals(all.segments[1], { type: "optional-catchall", value: "all" });
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("buildRouteManifest - parses param constraints", async () => {
+  const rootDir = await createTempFiles({
+    "a/[id:int]/[[draft:bool]]/[slug:[a-z-]+]/index.html": "inline",
+    "b/[id]/[...path]/index.html": "schema",
+    "b/[id]/[...path]/get.yaml": [
+      "title: {{params.id}}",
+      "params:",
+      "  id: int",
+      "  path:",
+      '    pattern: "[a-z]+"',
+      "  unknown:",
+      "    type: date",
+      "fetch_data:",
+      "  type: request",
+    ].join("\n"),
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+    const inline = manifest.routes.find((route) => route.pattern[0] === "a");
+    assertEquals(inline.segments, [
+      { type: "static", value: "a" },
+      { type: "param", value: "id", constraint: { type: "int" } },
+      { type: "optional", value: "draft", constraint: { type: "bool" } },
+      { type: "param", value: "slug", constraint: { pattern: "[a-z-]+" } },
+    ]);
+
+    const schema = manifest.routes.find((route) => route.pattern[0] === "b");
+    assertEquals(schema.segments, [
+      { type: "static", value: "b" },
+      { type: "param", value: "id", constraint: { type: "int" } },
+      { type: "catchall", value: "path", constraint: { pattern: "[a-z]+" } },
+    ]);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("matchRoute - constrained params coerce values", async () => {
+  const rootDir = await createTempFiles({
+    "items/[id:int]/index.html": "item",
+    "prices/[amount:number]/index.html": "price",
+    "flags/[on:bool]/index.html": "flag",
+    "pages/[[page:int]]/index.html": "paged",
+    "sum/[...terms:int]/index.html": "sum",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    assertEquals(matchRoute(manifest, "items/42").params, { id: 42 });
+    assertEquals(matchRoute(manifest, "items/-7").params, { id: -7 });
+    assertEquals(matchRoute(manifest, "prices/9.5").params, { amount: 9.5 });
+    assertEquals(matchRoute(manifest, "flags/true").params, { on: true });
+    assertEquals(matchRoute(manifest, "flags/0").params, { on: false });
+    assertEquals(matchRoute(manifest, "pages/3").params, { page: 3 });
+    assertEquals(matchRoute(manifest, "pages").params, {});
+    assertEquals(matchRoute(manifest, "sum/1/2/3").params, {
+      terms: [1, 2, 3],
+    });
+
+    assertEquals(matchRoute(manifest, "items/abc"), null);
+    assertEquals(matchRoute(manifest, "items/4.2"), null);
+    assertEquals(matchRoute(manifest, "prices/1e3"), null);
+    assertEquals(matchRoute(manifest, "flags/yes"), null);
+    assertEquals(matchRoute(manifest, "pages/first"), null);
+    assertEquals(matchRoute(manifest, "sum/1/two/3"), null);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("matchRoute - non-matching values fall through to the next route", async () => {
+  const rootDir = await createTempFiles({
+    "[id:int]/index.html": "by id",
+    "[slug:[a-z0-9-]+]/index.html": "by slug",
+    "[name]/index.html": "anything",
+    "files/[...path:[a-z]+]/index.html": "files",
+    "files/[[...rest]]/index.html": "other files",
+    "bad/[x:(]/index.html": "invalid pattern",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+    assertEquals(manifest.conflicts, []);
+
+    // Constrained params are more specific than unconstrained ones
+    assertEquals(matchRoute(manifest, "42").route.pattern, "[id:int]");
+    assertEquals(matchRoute(manifest, "42").params, { id: 42 });
+    assertEquals(
+      matchRoute(manifest, "hello-world").route.pattern,
+      "[slug:[a-z0-9-]+]",
+    );
+    assertEquals(matchRoute(manifest, "Hello World").params, {
+      name: "Hello World",
+    });
+
+    // The pattern has to match the whole value
+    assertEquals(matchRoute(manifest, "files/a/b").params, {
+      path: ["a", "b"],
+    });
+    assertEquals(
+      matchRoute(manifest, "files/a/B1").route.pattern,
+      "files/[[...rest]]",
+    );
+
+    // An invalid pattern never matches
+    assertEquals(matchRoute(manifest, "bad/x"), null);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("buildRouteManifest - compiles Markdown pages", async () => {
+  const rootDir = await createTempFiles({
+    "guide/index.md": "# Guide",
+    "both/index.html": "html",
+    "both/index.md": "# ignored",
+    "posts/[id]/index.md":
+      "---\nparams:\n  id: int\ntitle: Post\n---\n# {{title}}",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    const guide = matchRoute(manifest, "guide").route;
+    assertEquals(guide.pagePath, `${rootDir}/guide/index.md`);
+    assertEquals(guide.format, "markdown");
+
+    // index.html wins when a directory has both
+    const both = matchRoute(manifest, "both").route;
+    assertEquals(both.pagePath, `${rootDir}/both/index.html`);
+    assertEquals(both.format, "html");
+
+    // The front matter can declare param constraints like get.yaml
+    assertEquals(matchRoute(manifest, "posts/7").params, { id: 7 });
+    assertEquals(matchRoute(manifest, "posts/seven"), null);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("matchRoute - static beats param beats catch-all per segment", async () => {
+  const rootDir = await createTempFiles({
+    "docs/[...slug]/index.html": "catch-all",
+    "docs/[id]/index.html": "param",
+    "docs/[id]/edit/index.html": "param edit",
+    "docs/intro/index.html": "static",
+    "[section]/[...rest]/index.html": "top catch-all",
+    "[section]/latest/index.html": "top param",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    assertEquals(
+      matchRoute(manifest, "docs/intro").route.pattern,
+      "docs/intro",
+    );
+    assertEquals(matchRoute(manifest, "docs/42").route.pattern, "docs/[id]");
+    assertEquals(
+      matchRoute(manifest, "docs/42/edit").route.pattern,
+      "docs/[id]/edit",
+    );
+    assertEquals(
+      matchRoute(manifest, "docs/42/history").route.pattern,
+      "docs/[...slug]",
+    );
+
+    // The first segment decides before later ones are looked at
+    assertEquals(
+      matchRoute(manifest, "docs/latest").route.pattern,
+      "docs/[id]",
+    );
+    assertEquals(
+      matchRoute(manifest, "blog/latest").route.pattern,
+      "[section]/latest",
+    );
+    assertEquals(
+      matchRoute(manifest, "blog/2024/01").route.pattern,
+      "[section]/[...rest]",
+    );
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("compareRoutes - orders routes by specificity", async () => {
+  const rootDir = await createTempFiles({
+    "[[...all]]/index.html": "",
+    "[...slug]/index.html": "",
+    "[[lang]]/index.html": "",
+    "[id]/index.html": "",
+    "[id]/edit/index.html": "",
+    "about/index.html": "",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+    const sorted = [...manifest.routes].reverse().sort(compareRoutes);
+
+    assertEquals(sorted.map((route) => route.pattern), [
+      "about",
+      "[id]/edit",
+      "[id]",
+      "[[lang]]",
+      "[...slug]",
+      "[[...all]]",
+    ]);
+    assertEquals(manifest.routes, sorted);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("buildRouteManifest - detects conflicting routes", async () => {
+  const rootDir = await createTempFiles({
+    "[userId]/index.html": "user",
+    "[slug]/index.html": "slug",
+    "users/[id]/posts/index.html": "posts",
+    "users/[name]/posts/index.html": "posts again",
+    "users/[id]/index.html": "no conflict",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    assertEquals(manifest.conflicts, [
+      {
+        signature: "/users/:param/posts",
+        patterns: ["users/[id]/posts", "users/[name]/posts"],
+      },
+      { signature: "/:param", patterns: ["[slug]", "[userId]"] },
+    ]);
+
+    // Ties are still resolved the same way every time
+    assertEquals(matchRoute(manifest, "123").route.pattern, "[slug]");
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("buildRouteManifest - constraints are part of the route signature", async () => {
+  const rootDir = await createTempFiles({
+    "[id:int]/index.html": "int",
+    "[n:int]/index.html": "int again",
+    "[slug]/index.html": "plain",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    assertEquals(manifest.conflicts, [
+      { signature: "/:param(int)", patterns: ["[id:int]", "[n:int]"] },
+    ]);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("reloadRouteManifest - logs route conflicts as errors", async () => {
+  const rootDir = await createTempFiles({
+    "[a]/index.html": "a",
+    "[b]/index.html": "b",
+  }, "pages_");
+  const logCalls = [];
+  const testLog = (entry) => logCalls.push(entry);
+
+  try {
+    const manifest = await reloadRouteManifest(testLog, rootDir);
+    assertEquals(manifest.conflicts.length, 1);
+
+    const errorLog = logCalls.find((call) => call.level === "error");
+    assertExists(errorLog);
+    assertEquals(
+      errorLog.message,
+      "Route conflict: [a], [b] all match /:param",
+    );
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("reloadRouteManifest - logs invalid parameter patterns", async () => {
+  const rootDir = await createTempFiles({
+    "[slug]/index.html": "slug",
+    "[slug]/get.yaml": 'params:\n  slug:\n    pattern: "[a-z"\n',
+    "[id:int]/index.html": "id",
+  }, "pages_");
+  const logCalls = [];
+  const testLog = (entry) => logCalls.push(entry);
+
+  try {
+    const manifest = await reloadRouteManifest(testLog, rootDir);
+    assertEquals(manifest.invalidPatterns, [
+      { pattern: "[slug]", regex: "[a-z" },
+    ]);
+
+    const errorLog = logCalls.find((call) => call.level === "error");
+    assertExists(errorLog);
+    assertEquals(
+      errorLog.message,
+      "Invalid route parameter pattern in [slug]: [a-z",
+    );
+
+    // The route never matches
+    assertEquals(matchRoute(manifest, "hello"), null);
+    assertEquals(matchRoute(manifest, "7")?.params, { id: 7 });
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("buildRouteManifest - pages tree has no conflicts", async () => {
+  const manifest = await buildRouteManifest();
+
+  assertEquals(manifest.conflicts, []);
+});
+
+Deno.test("buildRouteManifest - underscore directories are not routable", async () => {
+  const rootDir = await createTempFiles({
+    "index.html": "home",
+    "_404/index.html": "not found",
+    "_404/get.yaml": "title: Not found",
+    "_500/index.html": "error",
+    "_partials/index.html": "hidden",
+    "blog/_drafts/index.html": "hidden",
+    "blog/_404/index.html": "only at the root",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+
+    assertEquals(manifest.routes.map((route) => route.pattern), [""]);
+    assertEquals(Object.keys(manifest.errorPages), ["404", "500"]);
+    assertEquals(
+      manifest.errorPages[404].pagePath,
+      `${rootDir}/_404/index.html`,
+    );
+    assertEquals(manifest.errorPages[404].hasGetYaml, true);
+    assertEquals(matchRoute(manifest, "_404"), null);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("buildRouteManifest - _layout.yaml is inherited by subfolders", async () => {
+  const rootDir = await createTempFiles({
+    "index.html": "home",
+    "_404/index.html": "not found",
+    "admin/_layout.yaml": "layout: admin",
+    "admin/index.html": "admin",
+    "admin/users/[id]/index.html": "user",
+    "admin/embed/_layout.yaml": "layout: false",
+    "admin/embed/widget/index.html": "widget",
+    "docs/_layout.yaml": "not: a layout setting",
+    "docs/index.html": "docs",
+  }, "pages_");
+
+  try {
+    const manifest = await buildRouteManifest(rootDir);
+    const layoutOf = (pattern) =>
+      manifest.routes.find((route) => route.pattern === pattern).layout;
+
+    assertEquals(layoutOf(""), undefined);
+    assertEquals(layoutOf("admin"), "admin");
+    assertEquals(layoutOf("admin/users/[id]"), "admin");
+    assertEquals(layoutOf("admin/embed/widget"), false);
+    assertEquals(layoutOf("docs"), undefined);
+    assertEquals(manifest.errorPages[404].layout, undefined);
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("reloadRouteManifest - picks up new pages", async () => {
+  const rootDir = await createTempFiles({ "index.html": "home" }, "pages_");
+
+  try {
+    const before = await getRouteManifest(rootDir);
+    assertEquals(matchRoute(before, "new-page"), null);
+
+    await Deno.mkdir(`${rootDir}/new-page`);
+    await Deno.writeTextFile(`${rootDir}/new-page/index.html`, "new");
+
+    // Cached manifest is reused until it is rebuilt
+    assertEquals(await getRouteManifest(rootDir), before);
+
+    await reloadRouteManifest(mockLog, rootDir);
+    const after = await getRouteManifest(rootDir);
+    assertExists(matchRoute(after, "new-page"));
+  } finally {
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("watchRouteManifest - rebuilds when pages change", async () => {
+  const rootDir = await createTempFiles({ "index.html": "home" }, "pages_");
+  const logCalls = [];
+  const testLog = (entry) => logCalls.push(entry);
+
+  await getRouteManifest(rootDir);
+  const watcher = watchRouteManifest(testLog, rootDir);
+
+  try {
+    await Deno.mkdir(`${rootDir}/watched`);
+    await Deno.writeTextFile(`${rootDir}/watched/index.html`, "watched");
+
+    let match = null;
+    for (let i = 0; i < 50 && !match; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      match = matchRoute(await getRouteManifest(rootDir), "watched");
+    }
+
+    assertExists(match);
+    assertExists(
+      logCalls.find((call) => call.message.includes("Built route manifest")),
+    );
+  } finally {
+    watcher.close();
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    await Deno.remove(rootDir, { recursive: true });
+  }
+});
+
+Deno.test("matchRoute - unknown path", async () => {
+  const manifest = await buildRouteManifest("./definitely-missing-pages");
+
+  assertEquals(manifest.routes, []);
+  assertFalse(matchRoute(manifest, "anything"));
+});
@@ -0,0 +1,80 @@
+import { dirname, isAbsolute, relative, resolve } from "./deps.ts";
+
+// Percent-encoded dot, slash, backslash and NUL left over after decoding once
+// mean the path was encoded twice to smuggle a traversal past a decoder
+const DOUBLE_ENCODED = /%(2e|2f|5c|00)/i;
+
+/**
+ * Split a URL path into decoded, validated segments
+ *
+ * Each segment is percent-decoded exactly once. The path is rejected when a
+ * segment is malformed, is `.` or `..`, contains a slash, backslash or NUL
+ * after decoding, or still contains an encoded dot, slash, backslash or NUL.
+ *
+ * @param {string} path - URL path, still percent-encoded
+ * @returns {string[]|null} Decoded segments or null if the path is unsafe
+ */
+export function splitSafePath(path) {
+  const segments = [];
+
+  for (const rawSegment of path.split("/")) {
+    if (rawSegment === "") continue;
+
+    let segment;
+    try {
+      segment = decodeURIComponent(rawSegment);
+    } catch {
+      return null;
+    }
+
+    if (
+      segment === "." ||
+      segment === ".." ||
+      /[/\\\0]/.test(segment) ||
+      DOUBLE_ENCODED.test(segment)
+    ) {
+      return null;
+    }
+
+    segments.push(segment);
+  }
+
+  return segments;
+}
+
+/**
+ * Resolve a URL path inside a root directory
+ * @param {string} rootDir - Directory the result must stay in
+ * @param {string} path - URL path relative to the root, still percent-encoded
+ * @returns {string|null} File path inside the root or null if the path is unsafe
+ */
+export function resolveSafePath(rootDir, path) {
+  const segments = splitSafePath(path);
+  if (!segments) return null;
+
+  // Segments are already validated, this guards against anything that slips
+  // through (e.g. platform-specific separators) by checking the final path
+  const absoluteRoot = resolve(rootDir);
+  const relativePath = relative(
+    absoluteRoot,
+    resolve(absoluteRoot, ...segments),
+  );
+  if (
+    isAbsolute(relativePath) ||
+    relativePath.split(/[/\\]/)[0] === ".."
+  ) {
+    return null;
+  }
+
+  return [rootDir, ...segments].join("/");
+}
+
+/**
+ * Resolve a file next to a page's index.html
+ * @param {string} pagePath - Path to the index.html file
+ * @param {string} fileName - File name, e.g. `get.yaml`
+ * @returns {string|null} File path in the page directory or null if unsafe
+ */
+export function resolvePageFile(pagePath, fileName) {
+  return resolveSafePath(dirname(pagePath), fileName);
+}
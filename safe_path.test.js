@@ -0,0 +1,76 @@
+import { assertEquals } from "https://deno.land/std@0.207.0/assert/mod.ts";
+import {
+  resolvePageFile,
+  resolveSafePath,
+  splitSafePath,
+} from "./safe_path.js";
+
+Deno.test("splitSafePath - decodes regular segments", () => {
+  assertEquals(splitSafePath("docs/getting%20started/"), [
+    "docs",
+    "getting started",
+  ]);
+  assertEquals(splitSafePath("/caf%C3%A9"), ["café"]);
+  assertEquals(splitSafePath(""), []);
+});
+
+Deno.test("splitSafePath - rejects plain traversal", () => {
+  assertEquals(splitSafePath("../etc/passwd"), null);
+  assertEquals(splitSafePath("docs/../../etc/passwd"), null);
+  assertEquals(splitSafePath("./docs"), null);
+});
+
+Deno.test("splitSafePath - rejects encoded traversal", () => {
+  assertEquals(splitSafePath("%2e%2e/etc/passwd"), null);
+  assertEquals(splitSafePath("%2E%2E/etc/passwd"), null);
+  assertEquals(splitSafePath(".%2e/etc/passwd"), null);
+  assertEquals(splitSafePath("..%2fetc%2fpasswd"), null);
+  assertEquals(splitSafePath("%2e%2e%2f%2e%2e%2fetc%2fpasswd"), null);
+  assertEquals(splitSafePath("..%5cwindows%5cwin.ini"), null);
+  assertEquals(splitSafePath("..\\windows\\win.ini"), null);
+});
+
+Deno.test("splitSafePath - rejects double-encoded traversal", () => {
+  assertEquals(splitSafePath("%252e%252e/etc/passwd"), null);
+  assertEquals(splitSafePath("%252e%252e%252fetc%252fpasswd"), null);
+  assertEquals(splitSafePath("..%252f..%252fetc"), null);
+  assertEquals(splitSafePath("%255c..%255c"), null);
+});
+
+Deno.test("splitSafePath - rejects NUL bytes and malformed encoding", () => {
+  assertEquals(splitSafePath("style.css%00.png"), null);
+  assertEquals(splitSafePath("style.css%2500.png"), null);
+  assertEquals(splitSafePath("%E0%A4%A"), null);
+  assertEquals(splitSafePath("100%"), null);
+});
+
+Deno.test("resolveSafePath - confines paths to the root", () => {
+  assertEquals(
+    resolveSafePath("./static", "css/style.css"),
+    "./static/css/style.css",
+  );
+  assertEquals(
+    resolveSafePath("./static", "/css//style.css"),
+    "./static/css/style.css",
+  );
+  assertEquals(resolveSafePath("./static", ""), "./static");
+  assertEquals(resolveSafePath("./static", "../server.js"), null);
+  assertEquals(resolveSafePath("./static", "%2e%2e/server.js"), null);
+  assertEquals(resolveSafePath("./static", "%252e%252e/server.js"), null);
+  assertEquals(
+    resolveSafePath("./static", "css/%2e%2e%2f%2e%2e%2fserver.js"),
+    null,
+  );
+});
+
+Deno.test("resolvePageFile - resolves files next to index.html", () => {
+  assertEquals(
+    resolvePageFile("./pages/form/index.html", "post.yaml"),
+    "./pages/form/post.yaml",
+  );
+  assertEquals(
+    resolvePageFile("./pages/docs/[...slug]/index.html", "get.yaml"),
+    "./pages/docs/[...slug]/get.yaml",
+  );
+  assertEquals(resolvePageFile("./pages/index.html", "../server.js"), null);
+});
@@ -0,0 +1,46 @@
+import { resolveSafePath } from "./safe_path.js";
+
+const STATIC_DIR = "./static";
+
+/** @type {Record<string, string>} */
+const CONTENT_TYPES = {
+  "css": "text/css",
+  "js": "application/javascript",
+  "png": "image/png",
+  "jpg": "image/jpeg",
+  "gif": "image/gif",
+  "svg": "image/svg+xml",
+};
+
+// Static file serving
+/**
+ * @param {URL} url - Request URL
+ * @returns {Promise<Response|null>} Static file response or null
+ */
+export async function serveStatic(url) {
+  if (url.pathname.startsWith("/static/")) {
+    // Paths escaping static/ get the same answer as missing files
+    const filePath = resolveSafePath(
+      STATIC_DIR,
+      url.pathname.slice("/static/".length),
+    );
+    if (!filePath) {
+      console.error("Static file rejected:", url.pathname);
+      return new Response("Static file not found", { status: 404 });
+    }
+
+    try {
+      const content = await Deno.readFile(filePath);
+      const ext = filePath.split(".").pop();
+      const contentType = CONTENT_TYPES[ext] || "application/octet-stream";
+
+      return new Response(content, {
+        headers: { "content-type": contentType },
+      });
+    } catch (error) {
+      console.error("Static file error:", error);
+      return new Response("Static file not found", { status: 404 });
+    }
+  }
+  return null;
+}
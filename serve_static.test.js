@@ -0,0 +1,58 @@
+import { assertEquals } from "https://deno.land/std@0.207.0/assert/mod.ts";
+import { serveStatic } from "./serve_static.js";
+
+/**
+ * Build a URL without letting the URL parser collapse dot segments
+ * @param {string} pathname - Raw pathname
+ * @returns {URL} URL with the raw pathname
+ */
+function rawUrl(pathname) {
+  const url = new URL("http://localhost:8000/");
+  Object.defineProperty(url, "pathname", { value: pathname });
+  return url;
+}
+
+Deno.test("serveStatic - serves files from static/", async () => {
+  const response = await serveStatic(
+    new URL("http://localhost:8000/static/css/style.css"),
+  );
+
+  assertEquals(response.status, 200);
+  assertEquals(response.headers.get("content-type"), "text/css");
+  await response.body.cancel();
+});
+
+Deno.test("serveStatic - ignores non-static paths", async () => {
+  const response = await serveStatic(new URL("http://localhost:8000/about"));
+
+  assertEquals(response, null);
+});
+
+Deno.test("serveStatic - rejects traversal attempts", async () => {
+  const attempts = [
+    "/static/../server.js",
+    "/static/%2e%2e/server.js",
+    "/static/..%2fserver.js",
+    "/static/%2e%2e%2fserver.js",
+    "/static/css/%2e%2e%2f%2e%2e%2fserver.js",
+    "/static/%252e%252e%252fserver.js",
+    "/static/..%252fserver.js",
+    "/static/..%5cserver.js",
+    "/static/css/style.css%00.png",
+  ];
+
+  for (const pathname of attempts) {
+    const response = await serveStatic(rawUrl(pathname));
+    assertEquals(response.status, 404, pathname);
+    assertEquals(await response.text(), "Static file not found");
+  }
+});
+
+Deno.test("serveStatic - URL parser collapses plain dot segments", async () => {
+  // new URL() resolves ../ and %2e%2e/ before serveStatic sees them
+  const response = await serveStatic(
+    new URL("http://localhost:8000/static/%2e%2e/server.js"),
+  );
+
+  assertEquals(response, null);
+});
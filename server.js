@@ -1,27 +1,17 @@
-import { handlePostRequest } from "./handle_post.js";
-import { requestStrategy } from "./request_strategy.js";
-import { sqliteStrategy } from "./sqlite_strategy.js";
+import { handleMethodRequest } from "./handle_post.js";
+import { getRedirects, redirectRequest } from "./redirects.js";
+import { isDevelopment } from "./dev_mode.js";
+import {
+  injectLiveReload,
+  LIVE_RELOAD_PATH,
+  liveReloadResponse,
+  watchDevelopment,
+} from "./live_reload.js";
+import { CACHE_PURGE_PATH, purgeRequest } from "./data_cache.js";
+import { dataStrategies } from "./data_strategies.js";
 import { renderPage } from "./render_page.js";
-
-/**
- * @typedef {Object} RequestContext
- * @property {Record<string, string>} params - URL parameters
- * @property {Record<string, string>} query - Query parameters
- */
-
-/**
- * @typedef {Function} Strategy
- * @param {any} config - Strategy configuration
- * @param {RequestContext} context - Request context
- * @returns {Promise<any>} Strategy result
- */
-
-// Data strategies map - defined in server and passed to fetch_data
-/** @type {Record<string, Strategy>} */
-const dataStrategies = {
-  request: requestStrategy,
-  sqlite: sqliteStrategy,
-};
+import { serveStatic } from "./serve_static.js";
+import { reloadRouteManifest, watchRouteManifest } from "./route_manifest.js";
 
 // Logging function
 /**
@@ -41,36 +31,7 @@ function log({ level, message, data }) {
   );
 }
 
-// Static file serving
-/**
- * @param {URL} url - Request URL
- * @returns {Promise<Response|null>} Static file response or null
- */
-async function serveStatic(url) {
-  if (url.pathname.startsWith("/static/")) {
-    try {
-      const filePath = "." + url.pathname;
-      const content = await Deno.readFile(filePath);
-      const ext = url.pathname.split(".").pop();
-      const contentType = {
-        "css": "text/css",
-        "js": "application/javascript",
-        "png": "image/png",
-        "jpg": "image/jpeg",
-        "gif": "image/gif",
-        "svg": "image/svg+xml",
-      }[ext] || "application/octet-stream";
-
-      return new Response(content, {
-        headers: { "content-type": contentType },
-      });
-    } catch (error) {
-      console.error("Static file error:", error);
-      return new Response("Static file not found", { status: 404 });
-    }
-  }
-  return null;
-}
+const development = isDevelopment();
 
 // Request handler
 /**
@@ -85,6 +46,18 @@ async function handler(req) {
     data: {},
   });
 
+  // Browser tabs listen here for reloads in development mode
+  if (development && url.pathname === LIVE_RELOAD_PATH) {
+    return liveReloadResponse();
+  }
+
+  // Cached fetch_data results can be dropped after the data changes
+  if (url.pathname === CACHE_PURGE_PATH) return purgeRequest(req, log);
+
+  // Redirect rules and URL canonicalization come before anything is served
+  const redirectResponse = await redirectRequest(url, req.method, log);
+  if (redirectResponse) return redirectResponse;
+
   // Try static files first
   const staticResponse = await serveStatic(url);
   if (staticResponse) return staticResponse;
@@ -96,17 +69,42 @@ async function handler(req) {
     query[key] = value;
   }
 
-  // Handle POST requests
-  if (req.method === "POST") {
-    return await handlePostRequest(path, req, log, dataStrategies);
+  // Handle POST, PUT, PATCH, DELETE and any other non-GET requests
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return await handleMethodRequest(path, req, log, dataStrategies);
   }
 
-  // Handle GET requests (default)
-  return await renderPage(path, query, log, dataStrategies);
+  // Handle GET requests
+  return await renderPage(path, query, log, dataStrategies, req);
+}
+
+// Build the route manifest once and keep it in sync with pages/
+const { conflicts } = await reloadRouteManifest(log);
+if (conflicts.length > 0) {
+  // Ambiguous routes would be served by whichever sorts first, refuse to boot
+  console.error("Refusing to start: conflicting routes found in pages/");
+  Deno.exit(1);
+}
+if (development) {
+  // Also rebuilds the route manifest, and reloads templates and open tabs
+  watchDevelopment(log);
+} else {
+  watchRouteManifest(log);
 }
+const { rules } = await getRedirects(log);
+log({
+  level: "info",
+  message: `Loaded redirect rules`,
+  data: { ruleCount: rules.length },
+});
 
 // Start server
 const port = 8000;
 console.log(`Server running on http://localhost:${port}`);
 
-await Deno.serve({ port }, handler);
+await Deno.serve(
+  { port },
+  development
+    ? async (req) => injectLiveReload(await handler(req), req)
+    : handler,
+);
@@ -16,7 +16,7 @@ function getDatabase() {
 
 /**
  * @typedef {Object} RequestContext
- * @property {Record<string, string>} params - URL parameters
+ * @property {import("./route_manifest.js").RouteMatch['params']} params - URL parameters
  * @property {Record<string, string>} query - Query parameters
  */
 
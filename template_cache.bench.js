@@ -0,0 +1,32 @@
+import { Handlebars } from "./deps.ts";
+import { compileTemplate } from "./template_cache.js";
+
+// A hot page: the same page, get.yaml and layout rendered on every request
+const handlebars = Handlebars.create();
+const page = await Deno.readTextFile("./pages/with-data/index.html");
+const yaml = await Deno.readTextFile("./pages/with-data/get.yaml");
+const layout = await Deno.readTextFile("./templates/layouts/layout.hbs");
+const context = { params: {}, query: { name: "Alice" } };
+
+Deno.bench("compile page, YAML and layout per request", {
+  group: "render",
+  baseline: true,
+}, () => {
+  handlebars.compile(yaml)(context);
+  const body = handlebars.compile(page)(context);
+  handlebars.compile(layout)({ title: "With-data", body, ...context });
+});
+
+Deno.bench(
+  "cached page, YAML and layout templates",
+  { group: "render" },
+  () => {
+    compileTemplate(handlebars, yaml)(context);
+    const body = compileTemplate(handlebars, page)(context);
+    compileTemplate(handlebars, layout)({
+      title: "With-data",
+      body,
+      ...context,
+    });
+  },
+);
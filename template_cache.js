@@ -0,0 +1,59 @@
+// Compiled templates kept per Handlebars instance, least recently used first
+const MAX_TEMPLATES = 500;
+
+/** @type {Map<object, Map<string, Function>>} */
+const compiled = new Map();
+
+/**
+ * Compile a template once per Handlebars instance and source
+ *
+ * Templates are keyed on their source rather than on a file path, so an edited
+ * file gets a new entry as soon as it is read again (whatever the mtime
+ * resolution) and the stale entry ages out.
+ *
+ * @param {object} handlebars - Handlebars instance the template belongs to
+ * @param {string} source - Template source
+ * @param {Record<string, any>} [options] - Handlebars compile options, e.g.
+ *   `{ noEscape: true }`
+ * @returns {Function} Compiled template
+ */
+export function compileTemplate(handlebars, source, options) {
+  let templates = compiled.get(handlebars);
+  if (!templates) {
+    templates = new Map();
+    compiled.set(handlebars, templates);
+  }
+
+  // The same source compiles differently with other options
+  const key = options ? `${JSON.stringify(options)}\0${source}` : source;
+  let template = templates.get(key);
+  if (template) {
+    // Move to the end, Map iteration order doubles as recency
+    templates.delete(key);
+  } else {
+    template = handlebars.compile(source, options);
+    if (templates.size >= MAX_TEMPLATES) {
+      templates.delete(templates.keys().next().value);
+    }
+  }
+  templates.set(key, template);
+  return template;
+}
+
+/**
+ * Drop every compiled template, e.g. when the file watcher sees a change
+ * @returns {void}
+ */
+export function clearTemplateCache() {
+  compiled.clear();
+}
+
+/**
+ * Count compiled templates across Handlebars instances
+ * @returns {number} Number of cached templates
+ */
+export function templateCacheSize() {
+  let size = 0;
+  for (const templates of compiled.values()) size += templates.size;
+  return size;
+}
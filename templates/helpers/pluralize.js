@@ -0,0 +1,12 @@
+/**
+ * Pick the singular or plural form of a word for a count
+ * `{{pluralize params.slug.length "section"}}` → `3 sections`
+ * @param {number} count - Number of items
+ * @param {string} singular - Singular form
+ * @param {object} options - Handlebars options, `plural="..."` for irregular words
+ * @returns {string} Count followed by the matching word
+ */
+export default function pluralize(count, singular, options) {
+  const plural = options?.hash?.plural ?? `${singular}s`;
+  return `${count} ${count === 1 ? singular : plural}`;
+}
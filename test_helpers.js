@@ -0,0 +1,16 @@
+/**
+ * Write files into a new temporary directory
+ * @param {Record<string, string>} files - File contents by relative path,
+ *   parent directories are created
+ * @param {string} [prefix] - Directory name prefix
+ * @returns {Promise<string>} Directory path
+ */
+export async function createTempFiles(files, prefix) {
+  const dir = await Deno.makeTempDir({ prefix });
+  for (const [file, content] of Object.entries(files)) {
+    const path = `${dir}/${file}`;
+    await Deno.mkdir(path.slice(0, path.lastIndexOf("/")), { recursive: true });
+    await Deno.writeTextFile(path, content);
+  }
+  return dir;
+}
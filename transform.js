@@ -0,0 +1,378 @@
+/**
+ * @typedef {Object} FilterCondition
+ * @property {string} field - Dot path of the compared value, e.g. `author.id`
+ * @property {any} [eq] - Equal to
+ * @property {any} [ne] - Not equal to
+ * @property {any} [gt] - Greater than
+ * @property {any} [gte] - Greater than or equal to
+ * @property {any} [lt] - Less than
+ * @property {any} [lte] - Less than or equal to
+ * @property {any[]} [in] - One of
+ * @property {any} [contains] - String or list containing the value
+ * @property {boolean} [exists] - Whether the value is set
+ */
+
+/**
+ * A single-key mapping naming the operation, e.g. `{ limit: 5 }`
+ * @typedef {Object} TransformStep
+ * @property {string} [select] - Dot path (`data.items`) or JSONPath
+ *   (`$.data.items[*].name`) of the value to keep
+ * @property {string|string[]} [pick] - Dot paths to keep
+ * @property {string|string[]} [omit] - Dot paths to remove
+ * @property {FilterCondition} [filter] - Condition list items must meet
+ * @property {string|{by: string, order?: 'asc'|'desc'}} [sort] - Sort a list
+ * @property {number} [limit] - Keep the first items of a list
+ * @property {Record<string, any>} [map] - New shape, values are dot paths
+ * @property {string} [group_by] - Group list items by a dot path
+ */
+
+const OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in", "contains"];
+
+// Keys that would reach Object.prototype when written through
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+/**
+ * Read a dot path, numeric segments index lists: `items.0.name`. Only own
+ * properties are followed, so `constructor.prototype` never reaches a prototype
+ * @param {any} value - Value to read from
+ * @param {string} path - Dot path, empty for the value itself
+ * @returns {any} Value at the path, undefined when missing
+ */
+export function getPath(value, path) {
+  if (path === "") return value;
+
+  let current = value;
+  for (const segment of String(path).split(".")) {
+    if (current === null || typeof current !== "object") return undefined;
+    if (!Object.hasOwn(current, segment)) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Set a dot path, creating objects on the way. Paths through `__proto__`,
+ * `constructor` or `prototype` are ignored
+ * @param {Record<string, any>} target - Object to write into
+ * @param {string} path - Dot path
+ * @param {any} value - Value to set
+ * @returns {void}
+ */
+function setPath(target, path, value) {
+  const keys = path.split(".");
+  if (keys.some((key) => UNSAFE_KEYS.has(key))) return;
+  const last = keys.pop();
+  let current = target;
+  for (const key of keys) {
+    if (!Object.hasOwn(current, key) || typeof current[key] !== "object") {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[last] = value;
+}
+
+/**
+ * Split a JSONPath into steps
+ * @param {string} path - JSONPath starting with `$`
+ * @returns {{descend: boolean, name: string|number}[]} Steps, `*` for
+ *   wildcards
+ * @throws {Error} For filters, slices and other unsupported syntax
+ */
+function parseJsonPath(path) {
+  const steps = [];
+  const pattern =
+    /(\.\.|\.)?(?:([A-Za-z_$][\w$-]*|\*)|\[(?:(-?\d+)|\*|'([^']*)'|"([^"]*)")\])/y;
+  let index = 1;
+
+  while (index < path.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(path);
+    const [text, dots, name, position, single, double] = match ?? [];
+    // Names need a dot, brackets don't (`$.a['b']`, `$..[0]`)
+    if (!match || (name !== undefined && !dots)) {
+      throw new Error(`Unsupported JSONPath at "${path.slice(index)}"`);
+    }
+
+    let key = name ?? single ?? double ?? "*";
+    if (position !== undefined) key = Number(position);
+    steps.push({ descend: dots === "..", name: key });
+    index += text.length;
+  }
+  return steps;
+}
+
+/**
+ * A value and every value nested in it
+ * @param {any} value - Root value
+ * @returns {any[]} Values, parents first
+ */
+function descendants(value) {
+  if (value === null || typeof value !== "object") return [value];
+  return [value, ...Object.values(value).flatMap(descendants)];
+}
+
+/**
+ * Evaluate a JSONPath
+ *
+ * Supports `$`, `.name`, `['name']`, `[0]`, `[-1]`, `*` and `..` (recursive
+ * descent). Paths with a wildcard or descent return a list of matches, other
+ * paths the single value.
+ *
+ * @param {any} value - Document
+ * @param {string} path - JSONPath starting with `$`
+ * @returns {any} Selected value or list of values
+ */
+export function queryJsonPath(value, path) {
+  const steps = parseJsonPath(path);
+  let nodes = [value];
+
+  for (const { descend, name } of steps) {
+    if (descend) nodes = nodes.flatMap(descendants);
+    nodes = nodes.flatMap((node) => {
+      if (node === null || typeof node !== "object") return [];
+      if (name === "*") return Object.values(node);
+      if (typeof name === "number") {
+        if (!Array.isArray(node)) return [];
+        const item = node.at(name);
+        return item === undefined ? [] : [item];
+      }
+      return Object.hasOwn(node, name) ? [node[name]] : [];
+    });
+  }
+
+  const definite = steps.every(({ descend, name }) => !descend && name !== "*");
+  return definite ? nodes[0] : nodes;
+}
+
+/**
+ * Require a list for list operations
+ * @param {any} value - Current value
+ * @param {string} operation - Operation name for the error
+ * @returns {any[]} The list
+ * @throws {Error} When the value isn't a list
+ */
+function requireList(value, operation) {
+  if (!Array.isArray(value)) throw new Error(`${operation} needs a list`);
+  return value;
+}
+
+/**
+ * Apply a function to a value, or to each item of a list
+ * @param {any} value - Object or list of objects
+ * @param {(item: any) => any} fn - Function applied to objects
+ * @returns {any} Transformed value
+ */
+function eachItem(value, fn) {
+  return Array.isArray(value) ? value.map(fn) : fn(value);
+}
+
+/**
+ * Keep dot paths of an object
+ * @param {any} item - Object
+ * @param {string[]} paths - Dot paths
+ * @returns {any} Object with only those paths
+ */
+function pick(item, paths) {
+  if (item === null || typeof item !== "object") return item;
+  const result = {};
+  for (const path of paths) {
+    const value = getPath(item, path);
+    if (value !== undefined) setPath(result, path, structuredClone(value));
+  }
+  return result;
+}
+
+/**
+ * Remove dot paths from a copy of an object
+ * @param {any} item - Object
+ * @param {string[]} paths - Dot paths
+ * @returns {any} Object without those paths
+ */
+function omit(item, paths) {
+  if (item === null || typeof item !== "object") return item;
+  const result = structuredClone(item);
+  for (const path of paths) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const parent = getPath(result, keys.join("."));
+    if (parent && typeof parent === "object") delete parent[last];
+  }
+  return result;
+}
+
+/**
+ * Compare two values for sorting and filters: numbers and dates by value,
+ * anything else as text
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compare(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Check a filter condition against a list item
+ * @param {any} item - List item
+ * @param {FilterCondition} condition - Condition, all operators must hold
+ * @returns {boolean} Whether the item is kept
+ */
+function matches(item, condition) {
+  const value = getPath(item, condition.field);
+  const missing = value === undefined || value === null;
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case "field":
+        return true;
+      case "exists":
+        return missing !== Boolean(expected);
+      case "eq":
+        return value === expected;
+      case "ne":
+        return value !== expected;
+      case "gt":
+        return !missing && compare(value, expected) > 0;
+      case "gte":
+        return !missing && compare(value, expected) >= 0;
+      case "lt":
+        return !missing && compare(value, expected) < 0;
+      case "lte":
+        return !missing && compare(value, expected) <= 0;
+      case "in":
+        return [expected].flat().includes(value);
+      case "contains":
+        return (typeof value === "string" || Array.isArray(value)) &&
+          value.includes(expected);
+      default:
+        throw new Error(
+          `unknown filter operator "${operator}", use exists or ${
+            OPERATORS.join(", ")
+          }`,
+        );
+    }
+  });
+}
+
+/**
+ * Run a single transform step
+ * @param {any} value - Current value
+ * @param {string} operation - Step name, e.g. `filter`
+ * @param {any} option - Step option
+ * @returns {any} Transformed value
+ */
+function applyStep(value, operation, option) {
+  switch (operation) {
+    case "select":
+      return String(option).startsWith("$")
+        ? queryJsonPath(value, String(option))
+        : getPath(value, String(option));
+    case "pick":
+      return eachItem(value, (item) => pick(item, [option].flat().map(String)));
+    case "omit":
+      return eachItem(value, (item) => omit(item, [option].flat().map(String)));
+    case "filter":
+      if (!option || typeof option !== "object" || !option.field) {
+        throw new Error("filter needs a field and an operator");
+      }
+      return requireList(value, "filter").filter((item) =>
+        matches(item, option)
+      );
+    case "sort": {
+      const { by, order = "asc" } = typeof option === "object"
+        ? option
+        : { by: option };
+      if (!by) throw new Error("sort needs a field");
+      const direction = order === "desc" ? -1 : 1;
+      // Items without the field go last in both orders
+      return [...requireList(value, "sort")].sort((a, b) => {
+        const left = getPath(a, by);
+        const right = getPath(b, by);
+        const leftMissing = left === undefined || left === null;
+        const rightMissing = right === undefined || right === null;
+        if (leftMissing || rightMissing) {
+          return Number(leftMissing) - Number(rightMissing);
+        }
+        return compare(left, right) * direction;
+      });
+    }
+    case "limit": {
+      const count = Number(option);
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`limit must be a whole number: ${option}`);
+      }
+      return requireList(value, "limit").slice(0, count);
+    }
+    case "map":
+      if (!option || typeof option !== "object") {
+        throw new Error("map needs a mapping of fields to paths");
+      }
+      return eachItem(value, (item) =>
+        Object.fromEntries(
+          Object.entries(option).map(([field, path]) => [
+            field,
+            typeof path === "string" ? getPath(item, path) : path,
+          ]),
+        ));
+    case "group_by": {
+      // A Map, so values like `constructor` don't hit inherited properties
+      const groups = new Map();
+      for (const item of requireList(value, "group_by")) {
+        const group = String(getPath(item, String(option)) ?? "");
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(item);
+      }
+      return Object.fromEntries(groups);
+    }
+    default:
+      throw new Error(`unknown operation "${operation}"`);
+  }
+}
+
+/**
+ * Reshape a strategy result with a `transform:` list
+ *
+ * Steps run in order, each one a single-key mapping:
+ *
+ * ```yaml
+ * transform:
+ *   - select: data.items
+ *   - filter: { field: status, eq: published }
+ *   - sort: { by: date, order: desc }
+ *   - limit: 5
+ *   - map: { title: title, author: author.name }
+ * ```
+ *
+ * @param {any} value - Strategy result
+ * @param {TransformStep|TransformStep[]} steps - Transform steps
+ * @returns {any} Transformed result
+ * @throws {Error} When a step is invalid or doesn't fit the value
+ */
+export function applyTransforms(value, steps) {
+  let result = value;
+
+  [steps].flat().forEach((step, index) => {
+    const entries = step && typeof step === "object"
+      ? Object.entries(step)
+      : [];
+    if (entries.length !== 1) {
+      throw new Error(
+        `Transform step ${index + 1} must have exactly one operation`,
+      );
+    }
+
+    const [[operation, option]] = entries;
+    try {
+      result = applyStep(result, operation, option);
+    } catch (error) {
+      throw new Error(
+        `Transform step ${index + 1} (${operation}): ${error.message}`,
+      );
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,187 @@
+import {
+  assertEquals,
+  assertThrows,
+} from "https://deno.land/std@0.207.0/assert/mod.ts";
+import { applyTransforms, getPath, queryJsonPath } from "./transform.js";
+
+const payload = {
+  data: {
+    posts: [
+      {
+        id: 1,
+        title: "Routing",
+        status: "published",
+        views: 120,
+        tags: ["guide"],
+        author: { name: "Ada", email: "ada@example.com" },
+      },
+      {
+        id: 2,
+        title: "Drafts",
+        status: "draft",
+        views: 5,
+        tags: [],
+        author: { name: "Grace", email: "grace@example.com" },
+      },
+      {
+        id: 3,
+        title: "Layouts",
+        status: "published",
+        views: 300,
+        tags: ["guide", "templates"],
+        author: { name: "Ada", email: "ada@example.com" },
+      },
+    ],
+  },
+};
+
+Deno.test("getPath - reads dot paths and list indexes", () => {
+  assertEquals(getPath(payload, "data.posts.1.author.name"), "Grace");
+  assertEquals(getPath(payload, "data.missing.name"), undefined);
+  assertEquals(getPath(payload, ""), payload);
+});
+
+Deno.test("queryJsonPath - names, indexes, wildcards and descent", () => {
+  assertEquals(queryJsonPath(payload, "$.data.posts[0].title"), "Routing");
+  assertEquals(queryJsonPath(payload, "$['data'].posts[-1].id"), 3);
+  assertEquals(queryJsonPath(payload, "$.data.posts[*].id"), [1, 2, 3]);
+  assertEquals(queryJsonPath(payload, "$..name"), ["Ada", "Grace", "Ada"]);
+  assertEquals(queryJsonPath(payload, "$.data.nothing"), undefined);
+  assertThrows(
+    () => queryJsonPath(payload, "$.data.posts[?(@.views > 10)]"),
+    Error,
+    "Unsupported JSONPath",
+  );
+});
+
+Deno.test("applyTransforms - select, filter, sort, limit and map", () => {
+  const result = applyTransforms(payload, [
+    { select: "data.posts" },
+    { filter: { field: "status", eq: "published" } },
+    { sort: { by: "views", order: "desc" } },
+    { limit: 1 },
+    { map: { title: "title", author: "author.name", source: 42 } },
+  ]);
+
+  assertEquals(result, [{ title: "Layouts", author: "Ada", source: 42 }]);
+  // The strategy result is left untouched
+  assertEquals(payload.data.posts.length, 3);
+});
+
+Deno.test("applyTransforms - pick and omit dot paths", () => {
+  const posts = payload.data.posts;
+
+  assertEquals(
+    applyTransforms(posts[0], { pick: ["id", "author.name"] }),
+    { id: 1, author: { name: "Ada" } },
+  );
+  const [first] = applyTransforms(posts, [{ omit: ["author.email", "tags"] }]);
+  assertEquals(first.author, { name: "Ada" });
+  assertEquals("tags" in first, false);
+  assertEquals(posts[0].author.email, "ada@example.com");
+});
+
+Deno.test("applyTransforms - pick and omit stay off prototypes", () => {
+  const item = JSON.parse('{"__proto__": {"polluted": true}, "name": "Ada"}');
+
+  assertEquals(
+    applyTransforms(item, [{ pick: ["__proto__.polluted", "name"] }]),
+    { name: "Ada" },
+  );
+  assertEquals(
+    applyTransforms({ name: "Ada" }, [{
+      omit: ["constructor.prototype.toLocaleString", "__proto__.toString"],
+    }]),
+    { name: "Ada" },
+  );
+  assertEquals(getPath({}, "constructor.prototype"), undefined);
+  assertEquals(/** @type {any} */ ({}).polluted, undefined);
+  assertEquals(typeof Object.prototype.toLocaleString, "function");
+  assertEquals(typeof Object.prototype.toString, "function");
+});
+
+Deno.test("applyTransforms - filter operators", () => {
+  const ids = (filter) =>
+    applyTransforms(payload, [
+      { select: "$.data.posts[*]" },
+      { filter },
+      { map: { id: "id" } },
+    ]).map(({ id }) => id);
+
+  assertEquals(ids({ field: "views", gte: 120, lt: 300 }), [1]);
+  assertEquals(ids({ field: "status", ne: "draft" }), [1, 3]);
+  assertEquals(ids({ field: "id", in: [2, 3] }), [2, 3]);
+  assertEquals(ids({ field: "tags", contains: "templates" }), [3]);
+  assertEquals(ids({ field: "author.name", contains: "Gr" }), [2]);
+  assertEquals(ids({ field: "subtitle", exists: false }), [1, 2, 3]);
+});
+
+Deno.test("applyTransforms - sort keeps missing values last", () => {
+  const items = [{ n: 2 }, {}, { n: 10 }, { n: 1 }];
+
+  assertEquals(applyTransforms(items, { sort: "n" }), [
+    { n: 1 },
+    { n: 2 },
+    { n: 10 },
+    {},
+  ]);
+  assertEquals(applyTransforms(items, { sort: { by: "n", order: "desc" } }), [
+    { n: 10 },
+    { n: 2 },
+    { n: 1 },
+    {},
+  ]);
+});
+
+Deno.test("applyTransforms - group_by", () => {
+  const groups = applyTransforms(payload, [
+    { select: "data.posts" },
+    { group_by: "author.name" },
+  ]);
+
+  assertEquals(Object.keys(groups), ["Ada", "Grace"]);
+  assertEquals(groups.Ada.map(({ id }) => id), [1, 3]);
+});
+
+Deno.test("applyTransforms - group_by values named like object properties", () => {
+  const items = [
+    { tag: "constructor" },
+    { tag: "toString" },
+    { tag: "__proto__" },
+    { tag: "hasOwnProperty" },
+    { tag: "toString" },
+  ];
+  const groups = applyTransforms(items, [{ group_by: "tag" }]);
+
+  assertEquals(Object.keys(groups), [
+    "constructor",
+    "toString",
+    "__proto__",
+    "hasOwnProperty",
+  ]);
+  assertEquals(groups.toString.length, 2);
+  assertEquals(groups.__proto__, [{ tag: "__proto__" }]);
+});
+
+Deno.test("applyTransforms - invalid steps name the step", () => {
+  assertThrows(
+    () => applyTransforms(payload, [{ select: "data" }, { limit: 2 }]),
+    Error,
+    "Transform step 2 (limit): limit needs a list",
+  );
+  assertThrows(
+    () => applyTransforms([], [{ limit: 2, sort: "id" }]),
+    Error,
+    "Transform step 1 must have exactly one operation",
+  );
+  assertThrows(
+    () => applyTransforms([], [{ reverse: true }]),
+    Error,
+    'Transform step 1 (reverse): unknown operation "reverse"',
+  );
+  assertThrows(
+    () => applyTransforms([{ a: 1 }], [{ filter: { field: "a", like: 1 } }]),
+    Error,
+    'unknown filter operator "like"',
+  );
+});
@@ -0,0 +1,79 @@
+/**
+ * @typedef {Object} YamlBlockResult
+ * @property {string|null} block - The `key:` line and its indented lines
+ * @property {string} rest - Source without the block
+ */
+
+/**
+ * Split a top-level block out of YAML source without parsing it
+ *
+ * get.yaml and front matter are Handlebars templates that only become valid
+ * YAML once rendered, so blocks that are read separately (`params:` when the
+ * route manifest is built, `meta:` after data is fetched) are cut out as text.
+ *
+ * @param {string} source - YAML source
+ * @param {string} key - Top-level key, e.g. `meta`
+ * @returns {YamlBlockResult} Block and remaining source
+ */
+export function extractYamlBlock(source, key) {
+  const pattern = new RegExp(`^${key}:.*(?:\\r?\\n(?:[ \\t].*|[ \\t]*))*`, "m");
+  const match = source.match(pattern);
+  if (!match) return { block: null, rest: source };
+
+  return {
+    block: match[0],
+    rest: source.slice(0, match.index) +
+      source.slice(match.index + match[0].length),
+  };
+}
+
+/**
+ * Split the items of a block's list as text
+ *
+ * Each item is its `- ` line at the list's indentation plus the lines below
+ * it, so items can be rendered one at a time (`fetch_data` entries that use
+ * earlier results).
+ *
+ * @param {string} block - Block from `extractYamlBlock`
+ * @returns {string[]|null} Item sources, null when the block isn't a list of
+ *   items on their own lines
+ */
+export function splitYamlList(block) {
+  const [first, ...lines] = block.split(/\r?\n/);
+  if (!/^[^:]*:[ \t]*(?:#.*)?$/.test(first)) return null;
+
+  const content = lines.filter((line) => line.trim() && !/^\s*#/.test(line));
+  const indent = content[0]?.match(/^([ \t]+)-(?:[ \t]|$)/)?.[1];
+  if (indent === undefined) return null;
+
+  const items = [];
+  for (const line of lines) {
+    const item = line.match(/^([ \t]*)-(?:[ \t]|$)/);
+    if (item?.[1] === indent) {
+      items.push([line]);
+    } else {
+      items.at(-1)?.push(line);
+    }
+  }
+  return items.map((item) => item.join("\n"));
+}
+
+// A value starting with `{{`, after a key or a list dash
+const BARE_EXPRESSION =
+  /^([ \t]*(?:-[ \t]+(?:[\w-]+:[ \t]+)?|[\w-]+:[ \t]+))(\{\{.*?)[ \t]*$/gm;
+
+/**
+ * Quote values that start with a Handlebars expression
+ *
+ * `title: {{name}}` is a YAML flow mapping, so it is read as
+ * `title: '{{name}}'` to bind the expression after parsing.
+ *
+ * @param {string} source - YAML source
+ * @returns {string} Source with those values single-quoted
+ */
+export function quoteExpressions(source) {
+  return source.replace(
+    BARE_EXPRESSION,
+    (_, prefix, value) => `${prefix}'${value.replaceAll("'", "''")}'`,
+  );
+}